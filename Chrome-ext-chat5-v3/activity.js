@@ -0,0 +1,109 @@
+/*
+ * Activity tracker content script for the Tab Monitor Closer extension.
+ *
+ * Registered by the background worker for every http(s) page and run at
+ * document_start, so it sees the whole life of the page.  It records whether
+ * the user interacted, how far the page was scrolled, how long it was
+ * visible, whether text was selected or typed and whether media played.
+ * The background reads the snapshot through chrome.scripting.executeScript
+ * when it checks the tab.
+ */
+
+(() => {
+  if (globalThis.__tabMonitorActivity) return;
+
+  const state = {
+    loadedAt: Date.now(),
+    hasInteracted: false,
+    mouseMovements: 0,
+    lastMouseMove: 0,
+    maxScrollY: 0,
+    keyPresses: 0,
+    hasSelection: false,
+    mediaPlayed: false,
+    visibleMs: 0,
+    visibleSince: document.visibilityState === "visible" ? Date.now() : null
+  };
+
+  const markInteracted = () => {
+    state.hasInteracted = true;
+  };
+
+  const currentScrollY = () =>
+    window.scrollY ||
+    (document.documentElement && document.documentElement.scrollTop) ||
+    (document.body && document.body.scrollTop) ||
+    0;
+
+  const pageHeight = () => {
+    const doc = document.documentElement;
+    const body = document.body;
+    return Math.max(
+      doc ? doc.scrollHeight : 0,
+      body ? body.scrollHeight : 0,
+      doc ? doc.offsetHeight : 0
+    );
+  };
+
+  window.addEventListener("click", markInteracted, true);
+  window.addEventListener("keydown", () => {
+    markInteracted();
+    state.keyPresses++;
+  }, true);
+  document.addEventListener("selectionchange", () => {
+    if (state.hasSelection) return;
+    const selection = document.getSelection();
+    if (selection && selection.toString().trim()) state.hasSelection = true;
+  });
+  // Media events do not bubble; listen in the capture phase.
+  document.addEventListener("play", () => {
+    state.mediaPlayed = true;
+  }, true);
+  window.addEventListener("mousemove", () => {
+    if (state.hasInteracted) return;
+    // Count at most one movement per second; a few of them mean the user is
+    // actually on the page rather than the pointer passing over it.
+    const now = Date.now();
+    if (now - state.lastMouseMove > 1000) {
+      state.lastMouseMove = now;
+      state.mouseMovements++;
+      if (state.mouseMovements > 5) markInteracted();
+    }
+  }, true);
+  window.addEventListener("scroll", () => {
+    state.maxScrollY = Math.max(state.maxScrollY, currentScrollY());
+  }, { passive: true, capture: true });
+  document.addEventListener("visibilitychange", () => {
+    const now = Date.now();
+    if (document.visibilityState === "visible") {
+      if (state.visibleSince == null) state.visibleSince = now;
+    } else if (state.visibleSince != null) {
+      state.visibleMs += now - state.visibleSince;
+      state.visibleSince = null;
+    }
+  });
+
+  // Snapshot read back by the background check.
+  globalThis.__tabMonitorActivity = () => {
+    const now = Date.now();
+    const scrollY = currentScrollY();
+    const maxScrollY = Math.max(state.maxScrollY, scrollY);
+    const height = pageHeight();
+    const viewHeight = window.innerHeight;
+    return {
+      tracked: true,
+      loadedAt: state.loadedAt,
+      scrollY,
+      maxScrollY,
+      scrollDepthPct: height > 0 ? Math.min(100, Math.round(((maxScrollY + viewHeight) / height) * 100)) : 100,
+      pageHeight: height,
+      viewHeight,
+      hasInteracted: state.hasInteracted,
+      keyPresses: state.keyPresses,
+      hasSelection: state.hasSelection,
+      mediaPlayed: state.mediaPlayed,
+      visibleMs: state.visibleMs + (state.visibleSince != null ? now - state.visibleSince : 0),
+      timestamp: now
+    };
+  };
+})();
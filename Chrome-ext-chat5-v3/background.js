@@ -9,7 +9,57 @@ const DEFAULT_THRESHOLD_HOURS = 24;
 const DEFAULT_THRESHOLD_MINUTES = 0;
 const DEFAULT_CHECK_INTERVAL_MINUTES = 60; // fallback check period
 const DEFAULT_BATCH_WINDOW_MINUTES = 1;
-const MAX_HISTORY = 50;
+const DEFAULT_WAKE_CLOSE_LIMIT = 5; // max closes in the first check after a break
+const IDLE_DETECTION_SECONDS = 300;
+const SUSPEND_GAP_MS = 3 * 60 * 1000; // heartbeat gap treated as a system sleep
+const LONG_AWAY_MS = 30 * 60 * 1000; // breaks at least this long arm the close cap
+const MAX_HISTORY = 50; // entries returned by getClosedHistory
+const LOG_EXPORT_ON_CLOSE_LIMIT = 500; // newest entries in the automatic log file
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+const OMNIBOX_DEBOUNCE_MS = 150; // pause in typing before the archive is searched
+const HISTORY_DB_NAME = "tmc-history";
+const HISTORY_DB_VERSION = 5;
+const HISTORY_STORE = "closedTabs";
+const EVENTS_STORE = "events";
+const EVENT_LOG_RETENTION_DAYS = 365;
+const WEBHOOK_METHODS = ["POST", "PUT"];
+const SYNC_TEXT_MAX_BYTES = 8000; // chrome.storage.sync allows 8192 per item, key included
+const OUTBOX_BASE_DELAY_MS = 60 * 1000; // first retry; doubles per attempt
+const OUTBOX_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_MAX_ITEMS = 200;
+const DIGEST_MODES = ["immediate", "hourly", "daily", "weekly"];
+const DEFAULT_DIGEST_TIME = "08:00";
+const DIGEST_MAX_ENTRIES = 1000; // per channel; the oldest are dropped
+const EMAIL_ATTACHMENT_FORMATS = ["none", "html", "csv"];
+const SECRETS_PBKDF2_ITERATIONS = 250000;
+const TELEGRAM_POLL_MINUTES = 1;
+const TELEGRAM_MAX_REOPEN_BUTTONS = 20; // larger batches only get Reopen all
+const TELEGRAM_MAX_REOPEN_GROUPS = 100;
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+const SITE_RULE_MATCH_TYPES = ["host", "glob", "regex"];
+const SITE_RULE_ACTIONS = ["never", "timeout", "always"];
+// Query parameters that only track where a visit came from; they never make
+// two URLs different pages.
+const TRACKING_PARAMS = [
+  "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "twclid",
+  "igshid", "mc_cid", "mc_eid", "_ga", "_gl", "ref_src", "ref_url", "spm"
+];
+const TRACKING_PARAM_PREFIXES = ["utm_"];
+// Engagement model: each signal is scaled to 0..1, weighted, and the weighted
+// average (0..100) is compared with the cutoff.
+const DEFAULT_ENGAGEMENT_MODEL = {
+  cutoff: 20,
+  foregroundTargetSeconds: 60, // foreground time that counts as fully read
+  typingTargetKeys: 20,
+  weights: {
+    foreground: 30,
+    scroll: 30,
+    selection: 15,
+    typing: 15,
+    media: 10
+  }
+};
 
 // Guard against overlapping checks
 let checkInProgress = false;
@@ -17,9 +67,23 @@ let checkGuardTimer = null;
 
 // Serialize writes to storage to avoid lost updates under concurrency
 let historyWriteChain = Promise.resolve();
+let historyDbPromise = null;
 let badgeWriteChain = Promise.resolve();
 let undoWriteChain = Promise.resolve();
 let openTimesWriteChain = Promise.resolve();
+let tabStatesWriteChain = Promise.resolve();
+let presenceWriteChain = Promise.resolve();
+// Heartbeat being recorded; the presence alarm and the check path share it
+// so no tab is judged before a sleep has been accounted for.
+let heartbeatInFlight = null;
+
+// Tab budget enforcement runs one pass at a time; a request arriving
+// mid-pass schedules one more pass.
+let budgetInProgress = false;
+let budgetRerun = null; // requests that arrived during a run: { allWindows, windowIds, excludeTabIds }
+
+let duplicateScanTimer = null;
+let lastDuplicateSignature = "";
 
 let batchWindowPrefLoaded = false;
 let cachedBatchWindowMs = DEFAULT_BATCH_WINDOW_MINUTES * 60 * 1000;
@@ -28,6 +92,14 @@ let batchFlushTimer = null;
 let batchFlushChain = Promise.resolve();
 let logExportPrefLoaded = false;
 let cachedLogExportOnClose = null;
+let siteRulesWriteChain = Promise.resolve();
+let outboxWriteChain = Promise.resolve();
+let outboxInProgress = false;
+let digestWriteChain = Promise.resolve();
+let reopenGroupsWriteChain = Promise.resolve();
+let telegramPollInProgress = false;
+let secretsWriteChain = Promise.resolve();
+let omniboxSearchTimer = null;
 
 // Initialize storage on install.  Record the current time for all open tabs
 // and create a periodic alarm.  We use an alarm instead of setInterval
@@ -44,8 +116,23 @@ chrome.runtime.onInstalled.addListener(() => {
     });
     chrome.storage.local.set({ openTimes });
   });
+  registerActivityScript().then(() => {
+    // Content scripts only reach pages loaded from now on; start tracking
+    // the tabs that are already open.
+    chrome.tabs.query({ url: ["http://*/*", "https://*/*"] }, (tabs) => {
+      (tabs || []).forEach((tab) => {
+        if (!tab.discarded) injectActivityScript(tab.id);
+      });
+    });
+  });
   // Schedule the periodic alarm based on saved settings (with defaults).
   ensureCheckAlarm();
+  setupPresenceTracking();
+  setupHistoryMaintenance();
+  scheduleOutboxRetry();
+  ensureDigestAlarms();
+  migrateSecrets().then(ensureTelegramPolling);
+  setupContextMenus();
   // Initialize defaults in sync storage if missing.
   chrome.storage.sync.get(["thresholdHours", "thresholdMinutes"], (cfg) => {
     const toSet = {};
@@ -70,6 +157,12 @@ chrome.runtime.onInstalled.addListener(() => {
 // Ensure alarm exists on browser startup as well.
 chrome.runtime.onStartup.addListener(() => {
   ensureCheckAlarm();
+  setupPresenceTracking();
+  setupHistoryMaintenance();
+  processOutbox();
+  ensureDigestAlarms();
+  migrateSecrets().then(ensureTelegramPolling);
+  scheduleTabCloseAlarm();
   loadBatchWindowPreference();
   // Ensure we have sensible openTimes for existing tabs on browser startup.
   chrome.tabs.query({}, (tabs) => {
@@ -81,6 +174,17 @@ chrome.runtime.onStartup.addListener(() => {
         }
       });
     });
+    // Tab ids change across restarts; carry protection over by URL.
+    updateTabStates((tabStates) => {
+      const liveIds = new Set(tabs.map((tab) => String(tab.id)));
+      Object.keys(tabStates).forEach((idStr) => {
+        if (liveIds.has(idStr)) return;
+        const state = tabStates[idStr];
+        delete tabStates[idStr];
+        const match = tabs.find((tab) => tab.url === state.url && !tabStates[tab.id]);
+        if (match) tabStates[match.id] = state;
+      });
+    });
   });
   try {
     chrome.action.setBadgeBackgroundColor({ color: "#5C6BC0" });
@@ -98,7 +202,7 @@ function computeCheckPeriodMinutes(hours, minutes) {
 }
 
 function ensureCheckAlarm() {
-  chrome.storage.sync.get(["thresholdHours", "thresholdMinutes"], (cfg) => {
+  chrome.storage.sync.get(["thresholdHours", "thresholdMinutes", "siteRules"], (cfg) => {
     const hours = (cfg && cfg.thresholdHours != null)
       ? cfg.thresholdHours
       : DEFAULT_THRESHOLD_HOURS;
@@ -106,12 +210,23 @@ function ensureCheckAlarm() {
       ? cfg.thresholdMinutes
       : DEFAULT_THRESHOLD_MINUTES;
     const totalMinutes = (Number(hours) || 0) * 60 + (Number(minutes) || 0);
-    if (totalMinutes === 0) {
-      // Disable periodic checks when timeout is 00:00
+    // Site rules with their own timeout keep the alarm alive (and may need a
+    // shorter period) even when the global timeout is 00:00.  "Always" rules
+    // only keep it alive: their limit of 0 would mean a check every minute.
+    const rules = normalizeSiteRules(cfg && cfg.siteRules);
+    const limits = rules
+      .filter((rule) => rule.action === "timeout")
+      .map((rule) => siteRuleThresholdMs(rule) / 60000);
+    if (totalMinutes > 0) limits.push(totalMinutes);
+    const alwaysRules = rules.some((rule) => rule.action === "always");
+    if (limits.length === 0 && !alwaysRules) {
+      // Disable periodic checks when timeout is 00:00 and no site rule applies
       chrome.alarms.clear("checkTabs", () => {});
       return;
     }
-    const period = computeCheckPeriodMinutes(hours, minutes);
+    const period = limits.length
+      ? computeCheckPeriodMinutes(0, Math.max(1, Math.min(...limits)))
+      : DEFAULT_CHECK_INTERVAL_MINUTES;
     chrome.alarms.create("checkTabs", { periodInMinutes: period });
   });
 }
@@ -137,8 +252,12 @@ function getBatchWindowMs() {
 
 // Re-arm alarm automatically when threshold changes in sync storage
 chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && "secretStore" in changes) {
+    ensureTelegramPolling();
+    return;
+  }
   if (area !== "sync") return;
-  if ("thresholdHours" in changes || "thresholdMinutes" in changes) {
+  if ("thresholdHours" in changes || "thresholdMinutes" in changes || "siteRules" in changes) {
     ensureCheckAlarm();
   }
   if ("batchWindowMinutes" in changes) {
@@ -159,6 +278,32 @@ chrome.storage.onChanged.addListener((changes, area) => {
     cachedLogExportOnClose = changes.logExportOnClose.newValue;
     logExportPrefLoaded = true;
   }
+  if ("tabBudget" in changes || "tabBudgetScope" in changes) {
+    enforceTabBudget();
+  }
+  if ("duplicateMode" in changes || "duplicateHostRules" in changes) {
+    lastDuplicateSignature = "";
+    scheduleDuplicateScan();
+  }
+  if ("historyRetentionDays" in changes) {
+    pruneHistoryArchive();
+  }
+  if (secretNames().some((name) => name in changes && changes[name].newValue)) {
+    migrateSecrets();
+  }
+  if ("tgChatId" in changes || "tgReopenButtons" in changes) {
+    ensureTelegramPolling();
+  }
+  if ("digestSchedules" in changes) {
+    ensureDigestAlarms({ reset: true });
+  }
+  if ("pauseWhenAway" in changes) {
+    // Start over so a break recorded before the toggle is not replayed.
+    updatePresence((presence) => {
+      presence.awaySince = null;
+      presence.lastSeenAt = Date.now();
+    });
+  }
 });
 
 // When a tab is created, record the current time.  We consider this the
@@ -168,6 +313,8 @@ chrome.tabs.onCreated.addListener((tab) => {
   updateOpenTimes((openTimes) => {
     openTimes[tab.id] = Date.now();
   });
+  // Opening a tab may push its window over the tab budget.
+  enforceTabBudget({ windowId: tab.windowId, excludeTabId: tab.id });
 });
 
 // When a tab finishes navigating to a new URL, reset its open time.  This
@@ -179,8 +326,8 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     updateOpenTimes((openTimes) => {
       openTimes[tabId] = Date.now();
     });
-    // No content script injection needed.
   }
+  if (changeInfo.url) scheduleDuplicateScan();
 });
 
 // When a tab becomes active, reset its open time (user likely looked at it).
@@ -188,7 +335,6 @@ chrome.tabs.onActivated.addListener(({ tabId }) => {
   updateOpenTimes((openTimes) => {
     openTimes[tabId] = Date.now();
   });
-  // No content script injection needed.
 });
 
 // When a tab is removed (closed by the user), forget its record.
@@ -196,14 +342,29 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   updateOpenTimes((openTimes) => {
     delete openTimes[tabId];
   });
+  updateTabStates((tabStates) => {
+    delete tabStates[tabId];
+  });
 });
 
-// Activity tracking functions
+// Activity tracking.  activity.js is registered as a content script for
+// every http(s) page and records interaction, scroll depth and visible time
+// from page load.  The check reads its snapshot from the extension's isolated
+// world; pages loaded before the script was registered fall back to a
+// one-off sample of the current scroll position.
+const ACTIVITY_SCRIPT_ID = "tmc-activity";
+
 function checkTabActivity() {
   return {
     func: () => {
-      const metrics = {
-        scrollY: window.scrollY || document.documentElement.scrollTop || document.body.scrollTop || 0,
+      if (typeof globalThis.__tabMonitorActivity === "function") {
+        return globalThis.__tabMonitorActivity();
+      }
+      const scrollY = window.scrollY || document.documentElement.scrollTop || document.body.scrollTop || 0;
+      return {
+        tracked: false,
+        scrollY,
+        maxScrollY: scrollY,
         pageHeight: Math.max(
           document.documentElement.scrollHeight,
           document.body.scrollHeight,
@@ -213,68 +374,346 @@ function checkTabActivity() {
         hasInteracted: false,
         timestamp: Date.now()
       };
-      
-      // Check whether the user interacted with the page.
-      if (window.__tabMonitorInteracted) {
-        metrics.hasInteracted = true;
-      }
-      
-      return metrics;
     }
   };
 }
 
-function injectActivityTracker() {
-  return {
-    func: () => {
-      if (window.__tabMonitorInitialized) return;
-      window.__tabMonitorInitialized = true;
-      window.__tabMonitorInteracted = false;
+// (Re-)register the tracker so it runs in every page from document_start.
+async function registerActivityScript() {
+  try {
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [ACTIVITY_SCRIPT_ID] });
+    if (existing && existing.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: [ACTIVITY_SCRIPT_ID] });
+    }
+    await chrome.scripting.registerContentScripts([{
+      id: ACTIVITY_SCRIPT_ID,
+      matches: ["http://*/*", "https://*/*"],
+      js: ["activity.js"],
+      runAt: "document_start",
+      persistAcrossSessions: true
+    }]);
+  } catch (err) {
+    console.warn("[TMC] activity script registration failed", err);
+  }
+}
 
-      const markInteracted = () => {
-        window.__tabMonitorInteracted = true;
-      };
+// Start tracking in a tab that was loaded before the script was registered.
+function injectActivityScript(tabId) {
+  chrome.scripting.executeScript(
+    { target: { tabId }, files: ["activity.js"] },
+    () => void chrome.runtime.lastError,
+  );
+}
 
-      // Track different interaction types.
-      window.addEventListener('click', markInteracted);
-      window.addEventListener('keydown', markInteracted);
-      window.addEventListener('mousemove', () => {
-        if (!window.__tabMonitorInteracted) {
-          const now = Date.now();
-          if (!window.__lastMouseMove || now - window.__lastMouseMove > 1000) {
-            window.__lastMouseMove = now;
-            window.__mouseMovements = (window.__mouseMovements || 0) + 1;
-            if (window.__mouseMovements > 5) {
-              markInteracted();
-            }
-          }
+// Stage points are stored as a percentage of a tab's timeout; 0 turns the
+// stage off.
+function parseStagePercent(value) {
+  const pct = Math.floor(Number(value));
+  return Number.isFinite(pct) && pct > 0 && pct < 100 ? pct : 0;
+}
+
+// Read everything a check needs in one go: tracked open times and per-tab
+// state, the global threshold and stage points (optionally overridden, e.g.
+// by unsaved values in the popup) and the site rules.
+function loadCheckContext(overrides = {}) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["openTimes", "tabStates", "presence", "wakeCapPending"], (data) => {
+      chrome.storage.sync.get(
+        [
+          "thresholdHours",
+          "thresholdMinutes",
+          "siteRules",
+          "warnAtPercent",
+          "discardAtPercent",
+          "pauseWhenAway",
+          "wakeCloseLimit",
+          "engagementModel"
+        ],
+        (cfg) => {
+          const pick = (key) => (overrides[key] != null ? overrides[key] : cfg[key]);
+          const warnAtPercent = parseStagePercent(pick("warnAtPercent"));
+          const discardAtPercent = parseStagePercent(pick("discardAtPercent"));
+          const thresholdHours = Number(pick("thresholdHours"));
+          const thresholdMinutes = Number(pick("thresholdMinutes"));
+          const hoursMs = (Number.isFinite(thresholdHours) ? thresholdHours : DEFAULT_THRESHOLD_HOURS) * 60 * 60 * 1000;
+          const minutesMs = (Number.isFinite(thresholdMinutes) ? Math.max(0, thresholdMinutes) : DEFAULT_THRESHOLD_MINUTES) * 60 * 1000;
+          // A 00:00 timeout disables the default; only site rules can close tabs then.
+          const thresholdMs = hoursMs + minutesMs > 0 ? hoursMs + minutesMs : null;
+          const siteRules = normalizeSiteRules(cfg.siteRules);
+          // Tabs younger than the shortest applicable limit cannot be due, so
+          // the check can skip the chrome.tabs.get round-trip for them.
+          const limits = siteRules
+            .filter((rule) => rule.action !== "never")
+            .map(siteRuleThresholdMs);
+          if (thresholdMs != null) limits.push(thresholdMs);
+          // Warnings and discards happen before the limit itself.
+          const firstStage = Math.min(...[warnAtPercent, discardAtPercent, 100].filter(Boolean));
+          // While the user is away tabs stop aging: judge them as of the
+          // moment the break started.
+          const presence = data.presence || {};
+          const pauseWhenAway = cfg.pauseWhenAway !== false;
+          const now = pauseWhenAway && presence.awaySince
+            ? Math.min(Date.now(), presence.awaySince)
+            : Date.now();
+          const wakeCloseLimit = Number.isFinite(Number(cfg.wakeCloseLimit)) && cfg.wakeCloseLimit != null
+            ? Math.max(0, Math.floor(Number(cfg.wakeCloseLimit)))
+            : DEFAULT_WAKE_CLOSE_LIMIT;
+          resolve({
+            now,
+            wakeCapPending: Boolean(pauseWhenAway && data.wakeCapPending),
+            wakeCloseLimit,
+            engagementModel: normalizeEngagementModel(pick("engagementModel")),
+            openTimes: data.openTimes || {},
+            tabStates: data.tabStates || {},
+            thresholdMs,
+            siteRules,
+            warnAtPercent,
+            discardAtPercent,
+            minLimitMs: limits.length ? Math.min(...limits) * firstStage / 100 : null
+          });
+        },
+      );
+    });
+  });
+}
+
+function getTabOrNull(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError || !tab) resolve(null);
+      else resolve(tab);
+    });
+  });
+}
+
+// Read the activity snapshot recorded by activity.js in the tab.
+function readTabActivity(tabId) {
+  return new Promise((resolve) => {
+    chrome.scripting.executeScript(
+      {
+        target: { tabId: tabId },
+        func: checkTabActivity().func,
+      },
+      (results) => {
+        if (chrome.runtime.lastError) {
+          resolve({ error: chrome.runtime.lastError.message || "script error" });
+          return;
         }
-      });
-    }
+        resolve({ metrics: (results && results[0] && results[0].result) || null });
+      },
+    );
+  });
+}
+
+// Fill in defaults and clamp a stored engagement model.
+function normalizeEngagementModel(model) {
+  const src = model || {};
+  const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) && value !== "" && value != null ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+  const weights = {};
+  Object.keys(DEFAULT_ENGAGEMENT_MODEL.weights).forEach((key) => {
+    weights[key] = num(src.weights && src.weights[key], DEFAULT_ENGAGEMENT_MODEL.weights[key], 0, 100);
+  });
+  return {
+    cutoff: num(src.cutoff, DEFAULT_ENGAGEMENT_MODEL.cutoff, 0, 100),
+    foregroundTargetSeconds: num(src.foregroundTargetSeconds, DEFAULT_ENGAGEMENT_MODEL.foregroundTargetSeconds, 1, 3600),
+    typingTargetKeys: num(src.typingTargetKeys, DEFAULT_ENGAGEMENT_MODEL.typingTargetKeys, 1, 1000),
+    weights
+  };
+}
+
+// Score how much attention a page got, 0..100.  Short pages cannot be
+// scrolled, so scrolling is left out of their average instead of counting
+// as zero.
+function scoreEngagement(metrics, model) {
+  const m = metrics || {};
+  const isShortPage = m.pageHeight <= m.viewHeight * 1.2; // 20% buffer
+  const scrollable = Math.max(1, (m.pageHeight || 0) - (m.viewHeight || 0));
+  const signals = {
+    foreground: Math.min(1, (Number(m.visibleMs) || 0) / (model.foregroundTargetSeconds * 1000)),
+    scroll: isShortPage ? null : Math.min(1, (Number(m.maxScrollY != null ? m.maxScrollY : m.scrollY) || 0) / scrollable),
+    selection: m.hasSelection ? 1 : 0,
+    typing: Math.min(1, (Number(m.keyPresses) || 0) / model.typingTargetKeys),
+    media: m.mediaPlayed ? 1 : 0
   };
+  let total = 0;
+  let weightSum = 0;
+  Object.keys(signals).forEach((key) => {
+    if (signals[key] == null) return;
+    total += signals[key] * model.weights[key];
+    weightSum += model.weights[key];
+  });
+  return {
+    score: weightSum > 0 ? Math.round((total / weightSum) * 100) : 0,
+    signals
+  };
+}
+
+// Which lifecycle stage is due for a tab of the given age: "close" past the
+// limit, otherwise "discard" or "warn" once their point has passed and the
+// stage has not run yet for the current open time.  Tabs with a zero limit
+// ("always" site rules) go straight to close.
+function dueStage(ageMs, limitMs, opened, state, ctx) {
+  if (ageMs > limitMs) return "close";
+  if (limitMs <= 0) return null;
+  if (ctx.discardAtPercent && ageMs > limitMs * ctx.discardAtPercent / 100 && !(state.discardedAt >= opened)) {
+    return "discard";
+  }
+  // Once a tab has been discarded a late warning no longer helps.
+  if (state.discardedAt >= opened) return null;
+  if (ctx.warnAtPercent && ageMs > limitMs * ctx.warnAtPercent / 100 && !(state.warnedAt >= opened)) {
+    return "warn";
+  }
+  return null;
+}
+
+// Decide what a check would do with one tracked tab without changing
+// anything.  The result carries a `verdict`:
+//   warn    - unread past the warning point; show a notification with Keep
+//   discard - unread past the discard point; unload it to free memory
+//   close   - unread past its limit, or past a close time set for the tab
+//   keep    - read, the timer gets refreshed
+//   skip    - exempt (`reason`: protected, snoozed, pinned, audible,
+//             notHttp, rule, discarded)
+//   notDue  - younger than its limit
+//   gone    - the tab no longer exists
+//   error   - the activity script could not run
+//   unknown - the script ran but returned nothing
+// With `ignoreAge` (tab budget) every tab is judged as if its limit had
+// passed; the skip rules and the activity check still apply.
+async function evaluateTab(idStr, ctx, { ignoreAge = false } = {}) {
+  const tabId = parseInt(idStr, 10);
+  const opened = ctx.openTimes[idStr];
+  const decision = {
+    tabId,
+    opened,
+    ageMs: opened ? ctx.now - opened : 0,
+    limitMs: null,
+    tab: null,
+    rule: null,
+    state: {},
+    metrics: null,
+    engagement: null,
+    verdict: "notDue",
+    reason: "notDue"
+  };
+  const tab = await getTabOrNull(tabId);
+  if (!tab) {
+    decision.verdict = "gone";
+    decision.reason = "gone";
+    return decision;
+  }
+  decision.tab = tab;
+  // The first matching site rule overrides the global timeout.
+  const rule = findSiteRule(tab.url, ctx.siteRules);
+  decision.rule = rule;
+  decision.limitMs = rule && rule.action !== "never"
+    ? siteRuleThresholdMs(rule)
+    : ctx.thresholdMs;
+  const state = ctx.tabStates[idStr] || {};
+  decision.state = state;
+  // A close time picked for this one tab ("Close this tab in ...") replaces
+  // its timeout and site rule: kept until then, closed afterwards.
+  const scheduled = Boolean(state.closeAt);
+  if (scheduled && opened) decision.limitMs = Math.max(0, state.closeAt - opened);
+  const stage = ignoreAge
+    ? "close"
+    : scheduled
+    ? state.closeAt <= ctx.now ? "close" : null
+    : opened && decision.limitMs != null
+    ? dueStage(decision.ageMs, decision.limitMs, opened, state, ctx)
+    : null;
+  if (!stage) {
+    return decision;
+  }
+  // Skip pinned tabs by default.
+  const skipReason = state.protect
+    ? "protected"
+    : state.snoozeUntil && state.snoozeUntil > ctx.now
+    ? "snoozed"
+    : tab.pinned
+    ? "pinned"
+    : tab.audible
+    ? "audible"
+    : !tab.url || !isHttpLike(tab.url)
+    ? "notHttp"
+    : rule && rule.action === "never" && !scheduled
+    ? "rule"
+    : null;
+  if (skipReason) {
+    decision.verdict = "skip";
+    decision.reason = skipReason;
+    return decision;
+  }
+  // The user asked for this close, so whether the tab was read does not matter.
+  if (scheduled && !ignoreAge) {
+    decision.verdict = "close";
+    decision.reason = "scheduled";
+    return decision;
+  }
+  // A tab we discarded while unread cannot run scripts; it has not been
+  // activated since (that would have reset its open time), so it is unread.
+  if (tab.discarded) {
+    if (stage === "close" && state.discardedAt >= opened) {
+      decision.verdict = "close";
+      decision.reason = "unread";
+    } else {
+      decision.verdict = "skip";
+      decision.reason = "discarded";
+    }
+    return decision;
+  }
+  const activity = await readTabActivity(tabId);
+  if (activity.error) {
+    decision.verdict = "error";
+    decision.reason = "scriptError";
+    return decision;
+  }
+  decision.metrics = activity.metrics;
+  if (!activity.metrics) {
+    decision.verdict = "unknown";
+    decision.reason = "noMetrics";
+    return decision;
+  }
+  decision.engagement = scoreEngagement(activity.metrics, ctx.engagementModel);
+  const read = decision.engagement.score >= ctx.engagementModel.cutoff;
+  decision.verdict = read ? "keep" : stage;
+  decision.reason = read ? "read" : "unread";
+  return decision;
 }
 
 // Periodically check all tracked tabs.  For each tab that has been open
-// longer than the threshold, retrieve its scroll position. If the page has
-// never been scrolled (scroll position is at the top), close the tab.
-// We rely on the scroll position because the user asked
-// to consider tabs unread if they remain at the top of the page.  We use
-// chrome.scripting.executeScript to inject a small function into the tab
-// that returns the current scroll offset.  If the scroll offset is zero
-// (or less than zero, which can happen in some edge cases), we treat the
-// tab as unread.
-function checkTabsNow() {
+// longer than its threshold, retrieve its activity and close the tab if it
+// looks unread.  We use chrome.scripting.executeScript to read the activity
+// that activity.js has recorded since the page loaded (foreground time,
+// scroll depth, selection, typing, media) and turn it into an engagement
+// score; tabs scoring below the configured cutoff are treated as unread.
+// The decision itself is made by evaluateTab so that
+// previewCheck reports exactly what this function would do.
+async function checkTabsNow() {
   if (checkInProgress) return;
   checkInProgress = true;
   const startedAt = Date.now();
   let scannedTabs = 0;
   let eligibleTabs = 0;
   let closedTabs = 0;
+  let warnedTabs = 0;
+  let discardedTabs = 0;
+  let deferredTabs = 0;
+  let closeSlots = Infinity;
   let scriptErrors = 0;
+  // Tabs closed by one check share a batch id so they can be restored together.
+  const batchId = `timeout-${startedAt}`;
   const skippedTabs = {
+    protected: 0,
+    snoozed: 0,
     pinned: 0,
     audible: 0,
     notHttp: 0,
+    rule: 0,
+    discarded: 0,
   };
   // Safety timer in case callbacks never fire
   if (checkGuardTimer) clearTimeout(checkGuardTimer);
@@ -288,162 +727,478 @@ function checkTabsNow() {
     });
   }, 60000);
 
-  // Run the same logic as the periodic alarm immediately.
-  chrome.storage.local.get(["openTimes"], (data) => {
-    const openTimes = data.openTimes || {};
-    const now = Date.now();
-    chrome.storage.sync.get(
-      ["thresholdHours", "thresholdMinutes"],
-      (cfg) => {
-        const thresholdHours = Number(cfg.thresholdHours);
-        const thresholdMinutes = Number(cfg.thresholdMinutes);
-        const hoursMs = (Number.isFinite(thresholdHours) ? thresholdHours : DEFAULT_THRESHOLD_HOURS) * 60 * 60 * 1000;
-        const minutesMs = (Number.isFinite(thresholdMinutes) ? Math.max(0, thresholdMinutes) : DEFAULT_THRESHOLD_MINUTES) * 60 * 1000;
-        const THRESHOLD_MS = hoursMs + minutesMs;
-        // Iterate over a copy of the keys because we'll modify openTimes when
-        // closing tabs.
-        let pending = 0;
-        const maybeFinish = () => {
-          if (pending === 0) {
-            if (checkGuardTimer) {
-              clearTimeout(checkGuardTimer);
-              checkGuardTimer = null;
-            }
-            checkInProgress = false;
-            chrome.storage.local.set({
-              lastCheckAt: Date.now(),
-              lastCheckDurationMs: Date.now() - startedAt,
-              lastCheckStatus: "finished",
-              lastCheckScannedTabs: scannedTabs,
-              lastCheckEligibleTabs: eligibleTabs,
-              lastCheckClosedTabs: closedTabs,
-              lastCheckScriptErrors: scriptErrors,
-              lastCheckSkippedTabs: skippedTabs,
-            });
-          }
-        };
+  const applyDecision = async (idStr, decision) => {
+    const { tabId, tab, verdict } = decision;
+    if (verdict === "notDue") return;
+    if (verdict === "gone") {
+      // Tab no longer exists; clean up.
+      await updateOpenTimes((current) => {
+        delete current[idStr];
+      });
+      return;
+    }
+    eligibleTabs++;
+    if (verdict === "skip") {
+      skippedTabs[decision.reason]++;
+      return;
+    }
+    if (verdict === "error") {
+      scriptErrors++;
+      await updateOpenTimes((current) => {
+        current[idStr] = Date.now();
+      });
+      return;
+    }
+    if (verdict === "unknown") return;
 
-        Object.keys(openTimes).forEach((idStr) => {
-          scannedTabs++;
-          const tabId = parseInt(idStr, 10);
-          const opened = openTimes[idStr];
-          if (!opened || now - opened <= THRESHOLD_MS) {
-            return;
-          }
-          eligibleTabs++;
-          // Check the tab still exists before attempting to execute a script.
-          pending++;
-          chrome.tabs.get(tabId, (tab) => {
-            if (chrome.runtime.lastError || !tab) {
-              // Tab no longer exists; clean up.
-              updateOpenTimes((current) => {
-                delete current[idStr];
-              }).finally(() => {
-                pending--; maybeFinish();
-              });
-              return;
-            }
-            // Skip pinned tabs by default.
-            if (tab.pinned) { skippedTabs.pinned++; pending--; maybeFinish(); return; }
-            if (tab.audible) { skippedTabs.audible++; pending--; maybeFinish(); return; }
-            if (!tab.url || !isHttpLike(tab.url)) { skippedTabs.notHttp++; pending--; maybeFinish(); return; }
-            // Inject a script to get the current vertical scroll offset.
-            chrome.scripting.executeScript(
-              {
-                target: { tabId: tabId },
-                world: "MAIN",
-                func: checkTabActivity().func,
-              },
-              (results) => {
-                if (chrome.runtime.lastError) {
-                  scriptErrors++;
-                  updateOpenTimes((current) => {
-                    current[idStr] = Date.now();
-                  }).finally(() => {
-                    pending--; maybeFinish();
-                  });
-                  return;
-                }
-
-                const metrics = results && results[0] && results[0].result;
-                if (!metrics) {
-                  pending--; maybeFinish();
-                  return;
-                }
-
-                // Inject the activity tracker if we have not done so yet.
-                chrome.scripting.executeScript({
-                  target: { tabId: tabId },
-                  world: "MAIN",
-                  func: injectActivityTracker().func,
-                });
-
-                const isShortPage = metrics.pageHeight <= metrics.viewHeight * 1.2; // 20% buffer
-                const isRead = 
-                  metrics.hasInteracted || // user interactions happened
-                  (!isShortPage && metrics.scrollY > 0); // or a scroll on a long page
-
-                if (!isRead) {
-                  const url = tab.url;
-                  const title = tab.title || url;
-                  // Close the tab.  This will trigger onRemoved, which cleans
-                  // up the openTimes entry.
-                  const prev = { windowId: tab.windowId, index: tab.index };
-                  chrome.tabs.remove(tabId, () => {
-                    const hadError = Boolean(chrome.runtime.lastError);
-                    if (hadError) {
-                      // Do not record history/badge on failure; keep openTimes to retry later.
-                      pending--; maybeFinish();
-                      return;
-                    }
-                    // Closing succeeded: clean up and record.
-                    closedTabs++;
-                    updateOpenTimes((current) => {
-                      delete current[idStr];
-                    });
-                    findSessionIdForUrl(url).then((sessionId) => {
-                      addToHistory(url, title, { sessionId, prev });
-                      incrementBadgeCount();
-                      notifyClosed(url, title, { sessionId, prev });
-                    }).finally(() => {
-                      pending--; maybeFinish();
-                    });
-                  });
-                } else {
-                  // Consider read; refresh timer to avoid repeated checks soon.
-                  updateOpenTimes((current) => {
-                    current[idStr] = Date.now();
-                  }).finally(() => {
-                    pending--; maybeFinish();
-                  });
-                }
-              },
-            );
-          });
-        });
-        // If nothing qualified, finish immediately
-        if (pending === 0) {
-          maybeFinish();
-        }
+    // Start tracking pages that predate the registered content script.
+    if (decision.metrics && !decision.metrics.tracked) injectActivityScript(tabId);
+
+    if (verdict === "keep") {
+      // Consider read; refresh timer to avoid repeated checks soon.
+      await updateOpenTimes((current) => {
+        current[idStr] = Date.now();
+      });
+      return;
+    }
+
+    const url = tab.url;
+    const title = tab.title || url;
+    if (verdict === "warn") {
+      warnedTabs++;
+      notifyCloseWarning(tabId, title, decision.limitMs - decision.ageMs);
+      await updateTabStates((current) => {
+        current[idStr] = { ...(current[idStr] || {}), warnedAt: Date.now(), url };
+      });
+      return;
+    }
+    if (verdict === "discard") {
+      const discarded = await new Promise((resolve) => {
+        chrome.tabs.discard(tabId, (t) => resolve(!chrome.runtime.lastError && Boolean(t)));
+      });
+      // Active tabs cannot be discarded; try again at the next check.
+      if (!discarded) return;
+      discardedTabs++;
+      await updateTabStates((current) => {
+        current[idStr] = { ...(current[idStr] || {}), discardedAt: Date.now(), url };
+      });
+      return;
+    }
+    // Right after a long break only a few tabs may close; the rest get a
+    // fresh timer instead of disappearing all at once.
+    if (closeSlots <= 0) {
+      deferredTabs++;
+      await updateOpenTimes((current) => {
+        if (current[idStr]) current[idStr] = Date.now();
+      });
+      return;
+    }
+    closeSlots--;
+    const { warnedAt, discardedAt } = decision.state;
+    const closed = await closeTabAndRecord(tab, {
+      reason: decision.reason === "scheduled" ? "scheduled" : "timeout",
+      batchId,
+      stages: {
+        warnedAt: warnedAt >= decision.opened ? warnedAt : null,
+        discardedAt: discardedAt >= decision.opened ? discardedAt : null
       },
-    );
+      engagementScore: decision.engagement ? decision.engagement.score : null
+    });
+    if (closed) closedTabs++;
+  };
+
+  try {
+    const ctx = await loadCheckContext();
+    if (ctx.wakeCapPending) {
+      if (ctx.wakeCloseLimit > 0) closeSlots = ctx.wakeCloseLimit;
+      chrome.storage.local.set({ wakeCapPending: false });
+    }
+    const ids = Object.keys(ctx.openTimes);
+    scannedTabs = ids.length;
+    const due = ids
+      .filter((idStr) => {
+        const opened = ctx.openTimes[idStr];
+        const closeAt = ctx.tabStates[idStr] && ctx.tabStates[idStr].closeAt;
+        if (closeAt) return opened && closeAt <= ctx.now;
+        return opened && ctx.minLimitMs != null && ctx.now - opened > ctx.minLimitMs;
+      })
+      .sort((a, b) => ctx.openTimes[a] - ctx.openTimes[b]);
+    const judge = (idStr) =>
+      evaluateTab(idStr, ctx)
+        .then((decision) => applyDecision(idStr, decision))
+        .catch(() => {});
+    if (closeSlots === Infinity) {
+      await Promise.all(due.map(judge));
+    } else {
+      // With the close cap on, judge one tab at a time, oldest first, so
+      // its slots go to the oldest tabs rather than the fastest to answer.
+      for (const idStr of due) await judge(idStr);
+    }
+  } finally {
+    if (checkGuardTimer) {
+      clearTimeout(checkGuardTimer);
+      checkGuardTimer = null;
+    }
+    checkInProgress = false;
+    if (deferredTabs > 0) notifyWakeSummary(closedTabs, deferredTabs);
+    scheduleTabCloseAlarm();
+    chrome.storage.local.set({
+      lastCheckAt: Date.now(),
+      lastCheckDurationMs: Date.now() - startedAt,
+      lastCheckStatus: "finished",
+      lastCheckScannedTabs: scannedTabs,
+      lastCheckEligibleTabs: eligibleTabs,
+      lastCheckClosedTabs: closedTabs,
+      lastCheckWarnedTabs: warnedTabs,
+      lastCheckDiscardedTabs: discardedTabs,
+      lastCheckDeferredTabs: deferredTabs,
+      lastCheckScriptErrors: scriptErrors,
+      lastCheckSkippedTabs: skippedTabs,
+    });
+    logCheck({
+      durationMs: Date.now() - startedAt,
+      scanned: scannedTabs,
+      eligible: eligibleTabs,
+      closed: closedTabs,
+      scriptErrors,
+      skipped: skippedTabs,
+    });
+  }
+}
+
+// Close a tab and record it: history entry (with `meta`, e.g. its close
+// `reason`), badge and an Undo notification.  Resolves false when the tab
+// could not be closed; nothing is recorded then and openTimes keeps the tab
+// so a later check can retry.
+async function closeTabAndRecord(tab, meta = {}) {
+  const url = tab.url;
+  const title = tab.title || url;
+  // Close the tab.  This will trigger onRemoved, which cleans
+  // up the openTimes entry.
+  const prev = { windowId: tab.windowId, index: tab.index };
+  const removed = await new Promise((resolve) => {
+    chrome.tabs.remove(tab.id, () => resolve(!chrome.runtime.lastError));
+  });
+  if (!removed) return false;
+  // Closing succeeded: clean up and record.
+  updateOpenTimes((current) => {
+    delete current[tab.id];
+  });
+  const sessionId = await findSessionIdForUrl(url);
+  addToHistory(url, title, { sessionId, prev }, meta);
+  logEvent({ type: "close", domain: domainOf(url), reason: meta.reason || "timeout" });
+  incrementBadgeCount();
+  notifyClosed(url, title, { sessionId, prev },
+    meta.reason === "duplicate" ? "Closed duplicate tab." : undefined);
+  return true;
+}
+
+// Dry run of checkTabsNow: evaluate every tracked tab and report the outcome
+// without closing anything or touching openTimes.
+async function previewCheck(overrides) {
+  const ctx = await loadCheckContext(overrides);
+  const decisions = await Promise.all(
+    Object.keys(ctx.openTimes).map((idStr) => evaluateTab(idStr, ctx))
+  );
+  return decisions
+    .filter((d) => d.verdict !== "gone")
+    .map((d) => ({
+      tabId: d.tabId,
+      title: (d.tab && d.tab.title) || (d.tab && d.tab.url) || "",
+      url: (d.tab && d.tab.url) || "",
+      ageMs: d.ageMs,
+      limitMs: d.limitMs,
+      rule: d.rule ? { pattern: d.rule.pattern, action: d.rule.action } : null,
+      metrics: d.metrics,
+      engagement: d.engagement,
+      verdict: d.verdict,
+      reason: d.reason
+    }));
+}
+
+// =================== Duplicate tabs ===================
+// Tabs are duplicates when their URLs match after normalization: the
+// fragment is dropped and tracking parameters are removed.  Per-host rules
+// (`duplicateHostRules` in sync, one line per host) adjust this:
+//   docs.example.com #          keep the fragment (single-page apps)
+//   shop.example.com ?          ignore the whole query string
+//   news.example.com ref from   also ignore the listed parameters
+// `duplicateMode` is "off" (popup button only), "ask" (notification with a
+// one-click Close button) or "auto".  The most recently active copy is kept.
+
+function parseDuplicateHostRules(text) {
+  const rules = {};
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const parts = line.trim().split(/[\s,]+/).filter(Boolean);
+    if (!parts.length || parts[0].startsWith('//')) return;
+    const host = parts.shift().toLowerCase().replace(/^\*\./, '');
+    rules[host] = {
+      keepFragment: parts.includes('#'),
+      ignoreQuery: parts.includes('?'),
+      ignoreParams: parts.filter((p) => p !== '#' && p !== '?').map((p) => p.toLowerCase())
+    };
+  });
+  return rules;
+}
+
+// Host rules apply to the host and its subdomains; the most specific wins.
+function findDuplicateHostRule(host, rules) {
+  let current = host;
+  while (current) {
+    if (rules[current]) return rules[current];
+    const dot = current.indexOf('.');
+    if (dot < 0) break;
+    current = current.slice(dot + 1);
+  }
+  return null;
+}
+
+function normalizeUrlForDuplicates(url, hostRules = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  const rule = findDuplicateHostRule(parsed.hostname.toLowerCase(), hostRules) || {};
+  if (!rule.keepFragment) parsed.hash = '';
+  if (rule.ignoreQuery) {
+    parsed.search = '';
+  } else {
+    const extra = rule.ignoreParams || [];
+    Array.from(parsed.searchParams.keys()).forEach((key) => {
+      const lower = key.toLowerCase();
+      if (
+        TRACKING_PARAMS.includes(lower) ||
+        TRACKING_PARAM_PREFIXES.some((prefix) => lower.startsWith(prefix)) ||
+        extra.includes(lower)
+      ) {
+        parsed.searchParams.delete(key);
+      }
+    });
+    parsed.searchParams.sort();
+  }
+  parsed.hostname = parsed.hostname.toLowerCase();
+  return parsed.toString();
+}
+
+// Group open tabs by normalized URL.  For each group with more than one tab,
+// `keep` is the most recently active copy and `close` the copies that may be
+// closed (pinned, audible and protected copies are left alone).
+async function findDuplicateTabs() {
+  const [tabs, cfg, local] = await Promise.all([
+    new Promise((resolve) => chrome.tabs.query({ windowType: "normal" }, (result) => resolve(result || []))),
+    new Promise((resolve) => chrome.storage.sync.get("duplicateHostRules", resolve)),
+    new Promise((resolve) => chrome.storage.local.get("tabStates", resolve))
+  ]);
+  const hostRules = parseDuplicateHostRules(cfg.duplicateHostRules);
+  const tabStates = local.tabStates || {};
+  const groups = new Map();
+  tabs.forEach((tab) => {
+    const key = tab.url ? normalizeUrlForDuplicates(tab.url, hostRules) : null;
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tab);
+  });
+  const recency = (tab) => (tab.active ? Infinity : tab.lastAccessed || 0);
+  const now = Date.now();
+  const result = [];
+  groups.forEach((group, key) => {
+    if (group.length < 2) return;
+    const sorted = group.slice().sort((a, b) => recency(b) - recency(a));
+    const keep = sorted[0];
+    const close = sorted.slice(1).filter((tab) => {
+      const state = tabStates[tab.id] || {};
+      const snoozed = state.snoozeUntil && state.snoozeUntil > now;
+      return !tab.pinned && !tab.audible && !tab.active && !state.protect && !snoozed;
+    });
+    if (close.length) result.push({ key, keep, close });
+  });
+  return result;
+}
+
+async function closeDuplicateTabs() {
+  const groups = await findDuplicateTabs();
+  const batchId = `duplicate-${Date.now()}`;
+  let closed = 0;
+  for (const group of groups) {
+    for (const tab of group.close) {
+      const ok = await closeTabAndRecord(tab, {
+        reason: "duplicate",
+        batchId,
+        duplicateOf: group.keep.url
+      });
+      if (ok) closed++;
+    }
+  }
+  lastDuplicateSignature = "";
+  return closed;
+}
+
+function notifyDuplicates(count) {
+  chrome.notifications.create(`dupes-${Date.now()}`, {
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Tab Monitor Closer",
+    message: `${count} duplicate tab(s) open. The most recently used copy of each page is kept.`,
+    priority: 0,
+    buttons: [{ title: "Close duplicates" }],
   });
 }
 
+// Debounced: navigation events come in bursts.
+function scheduleDuplicateScan() {
+  if (duplicateScanTimer) clearTimeout(duplicateScanTimer);
+  duplicateScanTimer = setTimeout(() => {
+    duplicateScanTimer = null;
+    runDuplicateScan().catch((err) => console.warn("[TMC] duplicate scan failed", err));
+  }, 1500);
+}
+
+async function runDuplicateScan() {
+  const { duplicateMode } = await chrome.storage.sync.get("duplicateMode");
+  if (duplicateMode !== "auto" && duplicateMode !== "ask") return;
+  if (duplicateMode === "auto") {
+    await closeDuplicateTabs();
+    return;
+  }
+  const groups = await findDuplicateTabs();
+  // Only ask again when the set of duplicates changed.
+  const signature = groups
+    .map((g) => `${g.key}:${g.close.map((t) => t.id).sort().join(",")}`)
+    .sort()
+    .join("|");
+  if (!signature || signature === lastDuplicateSignature) {
+    lastDuplicateSignature = signature;
+    return;
+  }
+  lastDuplicateSignature = signature;
+  notifyDuplicates(groups.reduce((sum, g) => sum + g.close.length, 0));
+}
+
+// =================== Tab budget ===================
+// Optional cap on the number of tabs per window (or in the whole browser).
+// When a window goes over it, the least recently accessed unread tabs are
+// closed first, subject to the same skip rules and activity check as
+// checkTabsNow.  Active tabs and the tab that was just opened are never
+// closed by the budget.
+
+function enforceTabBudget({ windowId = null, excludeTabId = null } = {}) {
+  if (budgetInProgress) {
+    // Collect what every call made meanwhile asked for, so the rerun still
+    // spares each tab that was just opened.
+    if (!budgetRerun) budgetRerun = { allWindows: false, windowIds: new Set(), excludeTabIds: new Set() };
+    if (windowId == null) budgetRerun.allWindows = true;
+    else budgetRerun.windowIds.add(windowId);
+    if (excludeTabId != null) budgetRerun.excludeTabIds.add(excludeTabId);
+    return Promise.resolve();
+  }
+  return runTabBudget({
+    windowIds: windowId == null ? null : new Set([windowId]),
+    excludeTabIds: new Set(excludeTabId == null ? [] : [excludeTabId])
+  });
+}
+
+// `windowIds` null means every window.
+async function runTabBudget({ windowIds, excludeTabIds }) {
+  budgetInProgress = true;
+  try {
+    const cfg = await new Promise((resolve) =>
+      chrome.storage.sync.get(["tabBudget", "tabBudgetScope"], resolve),
+    );
+    const budget = Math.floor(Number(cfg.tabBudget));
+    if (!Number.isFinite(budget) || budget < 1) return;
+    const perWindow = cfg.tabBudgetScope !== "browser";
+    const tabs = await new Promise((resolve) =>
+      chrome.tabs.query({ windowType: "normal" }, (result) => resolve(result || [])),
+    );
+    const groups = new Map();
+    tabs.forEach((tab) => {
+      const key = perWindow ? tab.windowId : "all";
+      if (perWindow && windowIds && !windowIds.has(tab.windowId)) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tab);
+    });
+    const ctx = await loadCheckContext();
+    const batchId = `budget-${Date.now()}`;
+    for (const group of groups.values()) {
+      let excess = group.length - budget;
+      if (excess <= 0) continue;
+      const lastUsed = (tab) => tab.lastAccessed || ctx.openTimes[tab.id] || 0;
+      const candidates = group
+        .filter((tab) => !tab.active && !excludeTabIds.has(tab.id))
+        .sort((a, b) => lastUsed(a) - lastUsed(b));
+      // One at a time, so we stop as soon as the group is back in budget.
+      for (const candidate of candidates) {
+        if (excess <= 0) break;
+        // Opened while this run was going on.
+        if (budgetRerun && budgetRerun.excludeTabIds.has(candidate.id)) continue;
+        const decision = await evaluateTab(String(candidate.id), ctx, { ignoreAge: true });
+        if (decision.verdict !== "close") continue;
+        const closed = await closeTabAndRecord(decision.tab, {
+          reason: "budget",
+          batchId,
+          engagementScore: decision.engagement ? decision.engagement.score : null
+        });
+        if (closed) excess--;
+      }
+    }
+  } catch (err) {
+    console.warn("[TMC] tab budget failed", err);
+  } finally {
+    budgetInProgress = false;
+    const rerun = budgetRerun;
+    budgetRerun = null;
+    if (rerun) {
+      runTabBudget({
+        windowIds: rerun.allWindows ? null : rerun.windowIds,
+        excludeTabIds: rerun.excludeTabIds
+      });
+    }
+  }
+}
+
 chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name !== "checkTabs") return;
-  checkTabsNow();
+  if (alarm.name === "presenceHeartbeat") {
+    recordHeartbeat();
+    return;
+  }
+  if (alarm.name.startsWith("digest-")) {
+    handleDigestAlarm(alarm.name.slice("digest-".length));
+    return;
+  }
+  if (alarm.name === "telegramPoll") {
+    pollTelegramUpdates();
+    return;
+  }
+  if (alarm.name === "outboxRetry") {
+    processOutbox();
+    return;
+  }
+  if (alarm.name === "historyPrune") {
+    pruneHistoryArchive();
+    pruneEventLog();
+    return;
+  }
+  if (alarm.name !== "checkTabs" && alarm.name !== "scheduledClose") return;
+  // After a system sleep both alarms fire at once; account for the sleep
+  // before any tab is judged.
+  recordHeartbeat()
+    .finally(() => checkTabsNow())
+    .finally(() => enforceTabBudget())
+    .finally(() => scheduleDuplicateScan());
 });
 
 // Helper: HTTP/HTTPS URL filter
 function isHttpLike(url) {
-  return /^https-:\/\//i.test(url);
+  return /^https?:\/\//i.test(url);
 }
 
 // Notify user that a tab was closed; includes Undo button
-function notifyClosed(url, title, restore) {
+function notifyClosed(url, title, restore, label = "Closed unread tab.") {
   const id = `closed-${Date.now()}-${Math.random()}`;
-  const message = `Closed unread tab.\n${url}`;
+  const message = `${label}\n${url}`;
   const options = {
     type: "basic",
     iconUrl: "icons/icon48.png",
@@ -459,14 +1214,58 @@ function notifyClosed(url, title, restore) {
 }
 // Email sending removed.
 
+// Warn that a tab is about to be closed; the Keep button resets its timer.
+function notifyCloseWarning(tabId, title, remainingMs) {
+  const id = `warn-${tabId}-${Date.now()}`;
+  const minutes = Math.max(1, Math.round(remainingMs / 60000));
+  chrome.notifications.create(id, {
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Tab Monitor Closer",
+    message: `Unread tab closes in about ${minutes} min.\n${title}`,
+    priority: 0,
+    buttons: [{ title: "Keep" }],
+  });
+}
+
+function notifyWakeSummary(closedCount, deferredCount) {
+  chrome.notifications.create(`wake-${Date.now()}`, {
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    title: "Tab Monitor Closer",
+    message: `Welcome back. Closed ${closedCount} unread tab(s); ${deferredCount} more were due and kept with a fresh timer.`,
+    priority: 0,
+  });
+}
+
+function keepWarnedTab(notificationId) {
+  const tabId = parseInt(notificationId.split("-")[1], 10);
+  chrome.notifications.clear(notificationId, () => {});
+  if (!Number.isFinite(tabId)) return;
+  // A fresh open time restarts every stage for this tab.
+  updateOpenTimes((openTimes) => {
+    if (openTimes[tabId]) openTimes[tabId] = Date.now();
+  });
+}
+
 chrome.notifications.onButtonClicked.addListener(
   (notificationId, buttonIndex) => {
     if (buttonIndex !== 0) return;
+    if (notificationId.startsWith("warn-")) {
+      keepWarnedTab(notificationId);
+      return;
+    }
+    if (notificationId.startsWith("dupes-")) {
+      chrome.notifications.clear(notificationId, () => {});
+      closeDuplicateTabs();
+      return;
+    }
     updateUndoMap((undoMap) => {
       const entry = undoMap[notificationId];
       if (!entry) return;
       const { url, restore } = entry;
       const sessionId = restore && restore.sessionId;
+      logEvent({ type: "restore", domain: domainOf(url) });
       if (sessionId && chrome.sessions && chrome.sessions.restore) {
         chrome.sessions.restore(sessionId, (restored) => {
           if (chrome.runtime.lastError || !restored) {
@@ -540,77 +1339,172 @@ async function shouldExportOnClose() {
   return value == null ? true : Boolean(value);
 }
 
-// Maintain recent closed tabs history
-function addToHistory(url, title, restore) {
-  const entry = { url, title, ts: Date.now(), restore: restore || null };
+// Maintain the closed tabs history (stored in the IndexedDB archive; the
+// log file export is built from the same entries).
+// `meta` carries extra fields recorded with the entry (e.g. `stages`).
+function addToHistory(url, title, restore, meta = {}) {
+  const entry = { url, title, ts: Date.now(), restore: restore || null, ...meta };
   historyWriteChain = historyWriteChain
     .catch(() => {})
-    .then(() => new Promise((resolve) => {
-      chrome.storage.local.get("closedHistory", (data) => {
-        const list = Array.isArray(data.closedHistory) ? data.closedHistory : [];
-        list.unshift(entry);
-        if (list.length > MAX_HISTORY) list.length = MAX_HISTORY;
-        chrome.storage.local.set({ closedHistory: list }, () => {
-          try {
-            console.warn("[TMC] history append:", url, "len=", list.length);
-          } catch (e) { /* ignore */ }
-          // Also append to HTML log if configured
-          // Persist the entry in a separate htmlLogEntries array for future aggregated export
-          chrome.storage.local.get('htmlLogEntries', (d) => {
-            const arr = Array.isArray(d.htmlLogEntries) ? d.htmlLogEntries : [];
-            arr.unshift({ url, title, ts: entry.ts });
-            if (arr.length > MAX_HISTORY) arr.length = MAX_HISTORY;
-            chrome.storage.local.set({ htmlLogEntries: arr }, () => {
-              scheduleBatchProcessing(entry);
-            });
-          });
-          resolve();
-        });
-      });
-    }));
+    .then(async () => {
+      try {
+        entry.id = await archivePut(entry);
+        try {
+          console.warn("[TMC] history append:", url, "id=", entry.id);
+        } catch (e) { /* ignore */ }
+      } catch (err) {
+        console.warn("[TMC] history append failed", err);
+      }
+      scheduleBatchProcessing(entry);
+    });
 }
 
-// Write an entry to the user's configured HTML log file in Downloads.
-// The file will be created if missing, and new entries appended by
-// downloading a small blob. We place entries inside a simple <ul> list.
-async function writeHtmlLog() {
-  try {
-    const cfg = await new Promise((res) => chrome.storage.sync.get('logFileName', res));
-    const filename = (cfg && cfg.logFileName) || 'closed-tabs.html';
-
-    // Read persisted entries to produce a full aggregated HTML file
-    const data = await new Promise((res) => chrome.storage.local.get('htmlLogEntries', res));
-    const entries = Array.isArray(data.htmlLogEntries) ? data.htmlLogEntries : [];
+// =================== History export formats ===================
+// Each format turns the archived entries (newest first) into file content.
+// The log file and the Save As export both go through this registry.
 
-    const listItems = entries
-      .map((e) => {
-        const safeTitle = escapeHtml(e.title || e.url || '');
-        const safeUrl = escapeHtml(e.url || '');
+const LOG_FORMATS = {
+  html: {
+    extension: 'html',
+    mime: 'text/html',
+    build(entries) {
+      const listItems = entries
+        .map((e) => {
+          const safeTitle = escapeHtml(e.title || e.url || '');
+          const safeUrl = escapeHtml(e.url || '');
+          const when = new Date(e.ts || Date.now()).toLocaleString();
+          return `<li><a href="${safeUrl}">${safeTitle}</a> <span style="color:#666; font-size:11px;">(${when})</span></li>`;
+        })
+        .join('\n');
+      return `<!doctype html><html><head><meta charset="utf-8"><title>Closed tabs</title></head><body><h1>Closed tabs</h1><ul>${listItems}</ul></body></html>`;
+    },
+  },
+  json: {
+    extension: 'json',
+    mime: 'application/json',
+    // Full entries, including restore metadata; only the search helper
+    // fields are dropped.
+    build(entries) {
+      const full = entries.map(({ titleLower, domains, ...entry }) => entry);
+      return JSON.stringify({ exportedAt: new Date().toISOString(), entries: full }, null, 2);
+    },
+  },
+  csv: {
+    extension: 'csv',
+    mime: 'text/csv',
+    build(entries) {
+      const iso = (ts) => (ts ? new Date(ts).toISOString() : '');
+      const header = ['closedAt', 'title', 'url', 'domain', 'reason', 'engagementScore', 'warnedAt', 'discardedAt', 'batchId'];
+      const rows = entries.map((e) => {
+        const stages = e.stages || {};
+        return [
+          iso(e.ts),
+          e.title || '',
+          e.url || '',
+          e.domain || domainOf(e.url),
+          e.reason || 'timeout',
+          e.engagementScore != null ? e.engagementScore : '',
+          iso(stages.warnedAt),
+          iso(stages.discardedAt),
+          e.batchId || '',
+        ];
+      });
+      // Leading BOM so spreadsheet apps pick UTF-8.
+      return '\ufeff' + [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    },
+  },
+  markdown: {
+    extension: 'md',
+    mime: 'text/markdown',
+    build(entries) {
+      const lines = entries.map((e) => {
+        const title = String(e.title || e.url || '').replace(/([\\[\]])/g, '\\$1');
+        const url = String(e.url || '').replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
         const when = new Date(e.ts || Date.now()).toLocaleString();
-        return `<li><a href="${safeUrl}">${safeTitle}</a> <span style="color:#666; font-size:11px;">(${when})</span></li>`;
-      })
-      .join('\n');
-
-    const html = `<!doctype html><html><head><meta charset="utf-8"><title>Closed tabs</title></head><body><h1>Closed tabs</h1><ul>${listItems}</ul></body></html>`;
-    // Create a base64 data URL because service worker context may not support
-    // URL.createObjectURL for Blobs. downloads.download accepts data: URLs.
-    const base64 = base64EncodeUtf8(html);
-    const dataUrl = `data:text/html;charset=utf-8;base64,${base64}`;
+        return `- [${title}](${url}) (${when})`;
+      });
+      return `# Closed tabs\n\n${lines.join('\n')}\n`;
+    },
+  },
+  bookmarks: {
+    extension: 'html',
+    mime: 'text/html',
+    build(entries) {
+      const exportedAt = Math.floor(Date.now() / 1000);
+      const items = entries
+        .map((e) => {
+          const added = Math.floor((e.ts || Date.now()) / 1000);
+          return `        <DT><A HREF="${escapeHtml(e.url || '')}" ADD_DATE="${added}">${escapeHtml(e.title || e.url || '')}</A>`;
+        })
+        .join('\n');
+      return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        `    <DT><H3 ADD_DATE="${exportedAt}">Closed tabs</H3>`,
+        '    <DL><p>',
+        items,
+        '    </DL><p>',
+        '</DL><p>',
+        '',
+      ].join('\n');
+    },
+  },
+};
 
-    // Save the aggregated file, overwriting previous file of the same name when possible.
-    await new Promise((resolve, reject) => {
-      try {
-        chrome.downloads.download({ url: dataUrl, filename, conflictAction: 'overwrite', saveAs: false }, (downloadId) => {
-          if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
-          resolve(downloadId);
-        });
-      } catch (e) {
-        reject(e);
-      }
-    });
-  } catch (e) {
-    // ignore
-  }
+const DEFAULT_LOG_FORMAT = 'html';
+
+// Quote a CSV cell (RFC 4180).  Cells that a spreadsheet would evaluate as a
+// formula are prefixed with an apostrophe.
+function csvCell(value) {
+  let text = String(value == null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function resolveLogFormat(format) {
+  return Object.prototype.hasOwnProperty.call(LOG_FORMATS, format) ? format : DEFAULT_LOG_FORMAT;
+}
+
+// Give the file name the extension of the chosen format.
+function logFileNameFor(name, format) {
+  const base = String(name || 'closed-tabs').replace(/\.(html?|json|csv|md|txt)$/i, '');
+  return `${base}.${LOG_FORMATS[format].extension}`;
+}
+
+// Build the export as a data URL; the service worker cannot use
+// URL.createObjectURL for Blobs, and downloads.download accepts data: URLs.
+// `limit` keeps only the newest entries.
+async function buildLogExport(format, { limit = Infinity } = {}) {
+  const fmt = LOG_FORMATS[format];
+  const entries = await listArchiveEntries({ limit });
+  const content = fmt.build(entries);
+  return `data:${fmt.mime};charset=utf-8;base64,${base64EncodeUtf8(content)}`;
+}
+
+// Write the archive (or its newest `limit` entries) to the user's configured
+// log file in Downloads, in the chosen format (`logFormat` in sync unless
+// given).  The file is overwritten on every export.  Rejects when the file
+// cannot be written; callers that export in the background ignore that.
+async function writeLogFile(format, { limit = Infinity } = {}) {
+  const cfg = await new Promise((res) => chrome.storage.sync.get(['logFileName', 'logFormat'], res));
+  const chosen = resolveLogFormat(format || (cfg && cfg.logFormat));
+  const filename = logFileNameFor((cfg && cfg.logFileName) || 'closed-tabs', chosen);
+  const dataUrl = await buildLogExport(chosen, { limit });
+
+  // Save the aggregated file, overwriting previous file of the same name when possible.
+  await new Promise((resolve, reject) => {
+    try {
+      chrome.downloads.download({ url: dataUrl, filename, conflictAction: 'overwrite', saveAs: false }, (downloadId) => {
+        if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+        resolve(downloadId);
+      });
+    } catch (e) {
+      reject(e);
+    }
+  });
 }
 
 function scheduleBatchProcessing(entry) {
@@ -618,7 +1512,9 @@ function scheduleBatchProcessing(entry) {
   pendingBatchEntries.push({
     url: entry.url,
     title: entry.title || entry.url,
-    ts: entry.ts || Date.now()
+    ts: entry.ts || Date.now(),
+    id: entry.id,
+    reason: entry.reason
   });
   requestBatchFlush();
 }
@@ -651,55 +1547,47 @@ async function flushPendingBatchInternal() {
   const batch = pendingBatchEntries;
   pendingBatchEntries = [];
   const entries = batch.slice().sort((a, b) => (a.ts || 0) - (b.ts || 0));
-  await notifyClosedTabsByEmail(entries);
-  await notifyClosedTabsByTelegram(entries);
+  await deliverBatch(entries);
   await exportBatchToHtmlIfEnabled(entries);
 }
 
-async function notifyClosedTabsByEmail(entries) {
-  if (!Array.isArray(entries) || entries.length === 0) return;
-  try {
-    const { notifyEmail } = await chrome.storage.sync.get('notifyEmail');
-    if (!notifyEmail) return;
-    const lines = entries.map((entry, index) => {
-      const title = entry.title && entry.title.trim() ? entry.title.trim() : entry.url;
-      return `${index + 1}. ${title}\n${entry.url}`;
-    });
-    const subject =
-      entries.length > 1
-        ? `Closed as unread (${entries.length} tabs)`
-        : `Closed as unread: ${entries[0].title || entries[0].url}`;
-    const bodyPrefix =
-      entries.length > 1
-        ? "The following tabs were closed as unread:"
-        : "The following tab was closed as unread:";
-    const body = `${bodyPrefix}\n\n${lines.join("\n\n")}`;
-    await sendGmailMessage({ to: notifyEmail, subject, body }, { allowInteractive: false });
-  } catch (err) {
-    console.warn('Gmail notification failed', err);
-  }
+// Channel senders resolve true once sent and false when the channel is not
+// configured; failures throw (see isRetryableDeliveryError).  `digest`
+// switches to the grouped-by-domain digest format.
+async function sendBatchByEmail(entries, { digest = false } = {}) {
+  const cfg = await chrome.storage.sync.get(['notifyEmail', 'emailSubjectTemplate', 'emailBodyTemplate']);
+  if (!cfg.notifyEmail) return false;
+  const message = buildEmailMessage(entries, {
+    digest,
+    subjectTemplate: cfg.emailSubjectTemplate || '',
+    bodyTemplate: cfg.emailBodyTemplate || '',
+  });
+  const attachments = await buildEmailAttachments(entries);
+  await sendGmailMessage({ to: cfg.notifyEmail, ...message, attachments }, { allowInteractive: false });
+  return true;
 }
 
-async function notifyClosedTabsByTelegram(entries) {
-  if (!Array.isArray(entries) || entries.length === 0) return;
-  try {
-    const bullets = entries
-      .map((entry) => {
-        const title = entry.title && entry.title.trim() ? entry.title.trim() : entry.url;
-        const safeTitle = escapeHtmlLite(title);
-        const safeUrl = escapeHtmlLite(entry.url);
-        return `- <a href="${safeUrl}">${safeTitle}</a>`;
-      })
-      .join('\n');
-    const header =
-      entries.length > 1
-        ? `<b>Closed as unread (${entries.length})</b>`
-        : `<b>Closed as unread</b>`;
-    const text = `${header}\n${bullets}`;
-    await sendTelegramMessage({ text, disablePreview: true });
-  } catch (e) {
-    // silent to match existing behavior
-  }
+async function sendBatchByTelegram(entries, { digest = false } = {}) {
+  const { telegramTemplate } = await chrome.storage.sync.get('telegramTemplate');
+  const replyMarkup = await buildReopenKeyboard(entries);
+  const text = buildTelegramText(entries, { digest, template: telegramTemplate || '' });
+  return sendTelegramMessage({ text, disablePreview: true, replyMarkup });
+}
+
+function buildBatchTelegramText(entries) {
+  const bullets = entries
+    .map((entry) => {
+      const title = entry.title && entry.title.trim() ? entry.title.trim() : entry.url;
+      const safeTitle = escapeHtmlLite(title);
+      const safeUrl = escapeHtmlLite(entry.url);
+      return `- <a href="${safeUrl}">${safeTitle}</a>`;
+    })
+    .join('\n');
+  const header =
+    entries.length > 1
+      ? `<b>Closed as unread (${entries.length})</b>`
+      : `<b>Closed as unread</b>`;
+  return `${header}\n${bullets}`;
 }
 
 async function exportBatchToHtmlIfEnabled(entries) {
@@ -707,7 +1595,8 @@ async function exportBatchToHtmlIfEnabled(entries) {
   try {
     const enabled = await shouldExportOnClose();
     if (!enabled) return;
-    await writeHtmlLog();
+    // Rewritten after every batch, so only the newest entries go in.
+    await writeLogFile(undefined, { limit: LOG_EXPORT_ON_CLOSE_LIMIT });
   } catch (err) {
     // ignore export failures
   }
@@ -717,42 +1606,118 @@ chrome.runtime.onSuspend.addListener(() => {
   requestBatchFlush(true);
 });
 
-async function restoreFromHistory(entry) {
+// Options: `windowId` opens the tab in that window (skipping the session
+// restore, which always reopens in the original window); `tabId` loads the
+// URL into that existing tab instead; `active: false` opens it in the
+// background (also without the session restore); `notify: false`
+// suppresses the per-tab notification for bulk restores.  Resolves false
+// when no tab could be opened, so callers keep the archive entry.
+async function restoreFromHistory(entry, options = {}) {
   const { url, restore } = entry || {};
   if (!url) return false;
-  const sessionId = restore && restore.sessionId;
+  const { windowId = null, tabId = null, active = true, notify = true } = options;
+  const sessionId = windowId == null && tabId == null && active && restore && restore.sessionId;
+  const done = (resolve) => {
+    logEvent({ type: "restore", domain: domainOf(url) });
+    if (notify) notifyRestored(url);
+    resolve(true);
+  };
+  const createOpts = { url, active };
+  if (windowId != null) {
+    createOpts.windowId = windowId;
+  } else {
+    if (restore && typeof restore.windowId === "number")
+      createOpts.windowId = restore.windowId;
+    if (restore && typeof restore.index === "number")
+      createOpts.index = restore.index;
+  }
+  // The stored window is often gone (closed, or the browser restarted), so
+  // a failed create is retried in the current window.
+  const create = (resolve) => {
+    chrome.tabs.create(createOpts, (tab) => {
+      if (!chrome.runtime.lastError && tab) return done(resolve);
+      if (createOpts.windowId == null && createOpts.index == null) return resolve(false);
+      chrome.tabs.create({ url, active }, (retried) => {
+        if (chrome.runtime.lastError || !retried) return resolve(false);
+        done(resolve);
+      });
+    });
+  };
   return new Promise((resolve) => {
-    if (sessionId && chrome.sessions && chrome.sessions.restore) {
+    if (tabId != null) {
+      chrome.tabs.update(tabId, { url }, (tab) => {
+        if (chrome.runtime.lastError || !tab) create(resolve);
+        else done(resolve);
+      });
+    } else if (sessionId && chrome.sessions && chrome.sessions.restore) {
       chrome.sessions.restore(sessionId, (restored) => {
         if (chrome.runtime.lastError || !restored) {
-          const createOpts = { url };
-          if (restore && typeof restore.windowId === "number")
-            createOpts.windowId = restore.windowId;
-          if (restore && typeof restore.index === "number")
-            createOpts.index = restore.index;
-          chrome.tabs.create(createOpts, () => {
-            notifyRestored(url);
-            resolve(true);
-          });
+          create(resolve);
         } else {
-          notifyRestored(url);
-          resolve(true);
+          done(resolve);
         }
       });
     } else {
-      const createOpts = { url };
-      if (restore && typeof restore.windowId === "number")
-        createOpts.windowId = restore.windowId;
-      if (restore && typeof restore.index === "number")
-        createOpts.index = restore.index;
-      chrome.tabs.create(createOpts, () => {
-        notifyRestored(url);
-        resolve(true);
-      });
+      create(resolve);
     }
   });
 }
 
+// Reopen one archived entry and drop it from the archive.  `options` go to
+// restoreFromHistory.
+async function restoreClosedEntry(id, options = {}) {
+  const entry = await archiveGet(id);
+  if (!entry) throw new Error("Not found");
+  if (!(await restoreFromHistory(entry, options))) throw new Error("Could not open a tab for it");
+  await archiveDelete(entry.id);
+}
+
+// Restore several archived entries in the order they were closed, either in
+// place or together in a new window, and drop them from the archive.
+// `ids` selects entries; `batchId` selects everything closed together.
+async function restoreEntries({ ids = [], batchId = null, newWindow = false } = {}) {
+  let entries;
+  if (batchId) {
+    const store = await historyStore('readonly');
+    entries = await idbResult(store.index('batchId').getAll(IDBKeyRange.only(batchId)));
+  } else {
+    entries = (await Promise.all(ids.map((id) => archiveGet(Number(id))))).filter(Boolean);
+  }
+  entries.sort((a, b) => (a.ts - b.ts) || (a.id - b.id));
+  if (!entries.length) return { restored: 0, missing: ids.length };
+  let windowId = null;
+  let blankTabId = null;
+  if (newWindow) {
+    const win = await new Promise((resolve) =>
+      chrome.windows.create({ focused: true }, (w) => resolve(chrome.runtime.lastError ? null : w)),
+    );
+    if (!win) throw new Error("Could not open a new window");
+    windowId = win.id;
+    blankTabId = win.tabs && win.tabs[0] ? win.tabs[0].id : null;
+  }
+  let restored = 0;
+  for (const entry of entries) {
+    if (await restoreFromHistory(entry, { windowId, notify: false })) {
+      restored++;
+      await archiveDelete(entry.id);
+    }
+  }
+  // The new window starts with an empty tab; drop it once the entries are in.
+  if (blankTabId != null && restored) chrome.tabs.remove(blankTabId, () => void chrome.runtime.lastError);
+  if (restored === 1) {
+    notifyRestored(entries[0].url);
+  } else if (restored) {
+    chrome.notifications.create(`restored-${Date.now()}-${Math.random()}`, {
+      type: "basic",
+      iconUrl: "icons/icon48.png",
+      title: "Tab Monitor Closer",
+      message: `Restored ${restored} tabs${newWindow ? " in a new window" : ""}.`,
+      priority: 0,
+    });
+  }
+  return { restored, missing: batchId ? 0 : ids.length - entries.length };
+}
+
 // Badge counter helpers
 function updateBadge(count) {
   try {
@@ -830,27 +1795,120 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
   if (msg.type === 'telegram-send') {
     (async () => {
-      await sendTelegramMessage(msg.payload || {});
+      const sent = await sendTelegramMessage(msg.payload || {});
+      if (!sent) throw new Error('Telegram is not configured or the message is empty');
+      sendResponse({ ok: true });
+    })().catch(err => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'getSecretStatus') {
+    getSecretStatus()
+      .then((status) => sendResponse({ ok: true, ...status }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'setSecret') {
+    setSecret(String(msg.name || ''), String(msg.value || ''))
+      .then(() => getSecretStatus())
+      .then((status) => sendResponse({ ok: true, ...status }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'unlockSecrets') {
+    unlockSecrets(String(msg.passphrase || ''))
+      .then(() => getSecretStatus())
+      .then((status) => sendResponse({ ok: true, ...status }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'lockSecrets') {
+    lockSecrets()
+      .then(() => getSecretStatus())
+      .then((status) => sendResponse({ ok: true, ...status }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'setSecretsPassphrase') {
+    setSecretsPassphrase({ current: String(msg.current || ''), next: String(msg.next || '') })
+      .then(() => getSecretStatus())
+      .then((status) => sendResponse({ ok: true, ...status }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'previewMessageTemplates') {
+    previewMessageTemplates(msg.templates || {})
+      .then((preview) => sendResponse({ ok: true, ...preview }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'webhook-send') {
+    (async () => {
+      // Test message: one sample entry through the configured template.
+      const sample = [{ url: 'https://example.com/', title: 'Test message from Tab Monitor Closer', ts: Date.now() }];
+      await sendWebhook(sample, { required: true });
       sendResponse({ ok: true });
     })().catch(err => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
     return true;
   }
+  if (msg.type === 'getDeliveryStatus') {
+    getDeliveryStatus()
+      .then((channels) => sendResponse({ ok: true, channels }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'retryOutbox') {
+    retryOutbox()
+      .then(() => getDeliveryStatus())
+      .then((channels) => sendResponse({ ok: true, channels }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === 'clearFailedDeliveries') {
+    clearFailedDeliveries()
+      .then(() => getDeliveryStatus())
+      .then((channels) => sendResponse({ ok: true, channels }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
   if (msg.type === "getClosedHistory") {
-  chrome.storage.local.get(["closedHistory", "badgeCount"], (data) => {
-      sendResponse({
-        ok: true,
-        history: Array.isArray(data.closedHistory) ? data.closedHistory : [],
-        badgeCount: Number(data.badgeCount) || 0,
-      });
+    chrome.storage.local.get(["badgeCount"], async (data) => {
+      try {
+        const { entries } = await searchArchive({ limit: MAX_HISTORY, countTotal: false });
+        sendResponse({
+          ok: true,
+          history: entries,
+          badgeCount: Number(data.badgeCount) || 0,
+        });
+      } catch (err) {
+        sendResponse({ ok: false, error: String(err && (err.message || err)) });
+      }
     });
     return true;
   }
+  if (msg.type === "searchHistory") {
+    searchArchive(msg.filters || {})
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
   if (msg.type === "runCheckNow") {
     // Fire the check immediately. Respond right away.
     try { checkTabsNow(); } catch (e) {}
     sendResponse({ ok: true });
     return;
   }
+  if (msg.type === "previewCheck") {
+    previewCheck({
+      thresholdHours: msg.thresholdHours,
+      thresholdMinutes: msg.thresholdMinutes,
+      warnAtPercent: msg.warnAtPercent,
+      discardAtPercent: msg.discardAtPercent,
+      engagementModel: msg.engagementModel
+    })
+      .then((tabs) => sendResponse({ ok: true, tabs }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
   if (msg.type === "resetBadge") {
     resetBadgeCount();
     sendResponse({ ok: true });
@@ -859,7 +1917,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === "exportHtmlNow") {
     (async () => {
       try {
-        await writeHtmlLog();
+        await writeLogFile(msg.format);
         sendResponse({ ok: true });
       } catch (e) {
         sendResponse({ ok: false, error: String(e && (e.message || e)) });
@@ -870,22 +1928,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'saveAsLogFile') {
     (async () => {
       try {
-        // Build aggregated HTML (reuse writeHtmlLog internals but return blob URL)
-        const data = await new Promise((res) => chrome.storage.local.get('htmlLogEntries', res));
-        const entries = Array.isArray(data.htmlLogEntries) ? data.htmlLogEntries : [];
-        const listItems = entries
-          .map((e) => {
-            const safeTitle = escapeHtml(e.title || e.url || '');
-            const safeUrl = escapeHtml(e.url || '');
-            const when = new Date(e.ts || Date.now()).toLocaleString();
-            return `<li><a href="${safeUrl}">${safeTitle}</a> <span style="color:#666; font-size:11px;">(${when})</span></li>`;
-          })
-          .join('\n');
-        const html = `<!doctype html><html><head><meta charset="utf-8"><title>Closed tabs</title></head><body><h1>Closed tabs</h1><ul>${listItems}</ul></body></html>`;
-        // data URL fallback for service worker context
-        const suggested = String(msg.suggestedName || 'closed-tabs.html');
-        const base64 = base64EncodeUtf8(html);
-        const dataUrl = `data:text/html;charset=utf-8;base64,${base64}`;
+        // Build the aggregated export in the requested (or saved) format
+        const cfg = await new Promise((res) => chrome.storage.sync.get('logFormat', res));
+        const format = resolveLogFormat(msg.format || cfg.logFormat);
+        const suggested = logFileNameFor(msg.suggestedName || 'closed-tabs', format);
+        const dataUrl = await buildLogExport(format);
         const downloadId = await new Promise((resolve, reject) => {
           try {
             chrome.downloads.download({ url: dataUrl, filename: suggested, saveAs: true }, (id) => {
@@ -937,30 +1984,99 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
   if (msg.type === "clearHistory") {
-    chrome.storage.local.set({ closedHistory: [] }, () =>
-      sendResponse({ ok: true }),
-    );
+    archiveClear()
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
     return true;
   }
-  if (msg.type === "restoreClosed" && msg.index != null) {
-    chrome.storage.local.get("closedHistory", async (data) => {
-      const list = Array.isArray(data.closedHistory) ? data.closedHistory : [];
-      const idx = Number(msg.index);
-      const entry = list[idx];
-      if (!entry) {
-        sendResponse({ ok: false, error: "Not found" });
-        return;
-      }
-      await restoreFromHistory(entry);
-      // Remove restored entry and persist
-      list.splice(idx, 1);
-      chrome.storage.local.set({ closedHistory: list }, () =>
-        sendResponse({ ok: true }),
-      );
+  if (msg.type === "restoreEntries") {
+    restoreEntries({
+      ids: Array.isArray(msg.ids) ? msg.ids : [],
+      batchId: msg.batchId || null,
+      newWindow: Boolean(msg.newWindow),
+    })
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "restoreClosed" && msg.id != null) {
+    restoreClosedEntry(Number(msg.id))
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "getTabState" && msg.tabId != null) {
+    chrome.storage.local.get("tabStates", (data) => {
+      const tabStates = data.tabStates || {};
+      sendResponse({ ok: true, state: tabStates[msg.tabId] || {} });
+    });
+    return true;
+  }
+  if (msg.type === "setTabProtection" && msg.tabId != null) {
+    setTabProtection(Number(msg.tabId), msg.preset)
+      .then((state) => sendResponse({ ok: true, state }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "getDuplicates") {
+    findDuplicateTabs()
+      .then((groups) => sendResponse({
+        ok: true,
+        groups: groups.map((g) => ({ url: g.keep.url, title: g.keep.title || g.keep.url, count: g.close.length })),
+        total: groups.reduce((sum, g) => sum + g.close.length, 0)
+      }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "closeDuplicates") {
+    closeDuplicateTabs()
+      .then((closed) => sendResponse({ ok: true, closed }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "getStats") {
+    getStats({ days: msg.days })
+      .then((stats) => sendResponse({ ok: true, stats }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "exportSettings") {
+    exportSettings({ includeSecrets: Boolean(msg.includeSecrets) })
+      .then((document) => sendResponse({ ok: true, document }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "previewSettingsImport") {
+    (async () => previewSettingsImport(msg.document))()
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "importSettings") {
+    (async () => importSettings(msg.document))()
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
+  if (msg.type === "getSiteRules") {
+    chrome.storage.sync.get("siteRules", (data) => {
+      sendResponse({ ok: true, rules: normalizeSiteRules(data.siteRules) });
     });
     return true;
   }
-  // No domain settings in simplified version.
+  if (msg.type === "setSiteRules") {
+    (async () => {
+      const incoming = Array.isArray(msg.rules) ? msg.rules : [];
+      // Validate everything up front so a bad rule does not drop silently.
+      const rules = incoming.map((rule) => parseSiteRule(rule));
+      await updateSiteRules((current) => {
+        current.length = 0;
+        current.push(...rules);
+      });
+      sendResponse({ ok: true, rules });
+    })().catch(err => sendResponse({ ok: false, error: String(err && (err.message || err)) }));
+    return true;
+  }
 });
 
 // Try to find the sessionId of a just-closed tab by URL.
@@ -979,7 +2095,207 @@ async function findSessionIdForUrl(url) {
   return null;
 }
 
-// Domain settings and content injection removed in simplified version.
+// =================== Site rules ===================
+// Rules are an ordered list in chrome.storage.sync (`siteRules`); the first
+// rule whose pattern matches a tab's URL decides how that tab is treated:
+//   never   - never auto-close (allowlist)
+//   timeout - close when unread after `minutes` instead of the global timeout
+//   always  - close as soon as the tab is found unread (denylist)
+
+// Validate a single rule and return its normalized form; throws on bad input.
+function parseSiteRule(rule) {
+  const src = rule || {};
+  const pattern = String(src.pattern || '').trim();
+  if (!pattern) throw new Error('Rule pattern is empty');
+  const match = SITE_RULE_MATCH_TYPES.includes(src.match) ? src.match : 'host';
+  const action = SITE_RULE_ACTIONS.includes(src.action) ? src.action : null;
+  if (!action) throw new Error(`Unknown rule action: ${src.action}`);
+  if (match === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`Invalid regex: ${pattern}`);
+    }
+  }
+  const out = {
+    id: src.id ? String(src.id) : `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    pattern,
+    match,
+    action
+  };
+  if (action === 'timeout') {
+    const minutes = Math.floor(Number(src.minutes));
+    if (!Number.isFinite(minutes) || minutes < 1) {
+      throw new Error('Rule timeout must be at least 1 minute');
+    }
+    out.minutes = minutes;
+  }
+  return out;
+}
+
+// Lenient variant for reading storage: invalid rules are dropped.
+function normalizeSiteRules(list) {
+  if (!Array.isArray(list)) return [];
+  const rules = [];
+  list.forEach((rule) => {
+    try {
+      rules.push(parseSiteRule(rule));
+    } catch (err) {
+      /* ignore */
+    }
+  });
+  return rules;
+}
+
+function globToRegExp(glob) {
+  const body = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+function siteRuleMatches(rule, url) {
+  if (!rule || !url) return false;
+  try {
+    if (rule.match === 'regex') return new RegExp(rule.pattern, 'i').test(url);
+    if (rule.match === 'glob') return globToRegExp(rule.pattern).test(url);
+    // Host rules match the host itself and any subdomain of it.
+    const host = new URL(url).hostname.toLowerCase();
+    const wanted = rule.pattern.toLowerCase().replace(/^\*\./, '');
+    return host === wanted || host.endsWith(`.${wanted}`);
+  } catch (err) {
+    return false;
+  }
+}
+
+function findSiteRule(url, rules) {
+  return (rules || []).find((rule) => siteRuleMatches(rule, url)) || null;
+}
+
+// Close limit for a rule in ms; "always" rules are due at the next check.
+function siteRuleThresholdMs(rule) {
+  if (!rule || rule.action === 'always') return 0;
+  return (Number(rule.minutes) || 0) * 60 * 1000;
+}
+
+function updateSiteRules(mutator) {
+  siteRulesWriteChain = siteRulesWriteChain
+    .catch(() => {})
+    .then(() => new Promise((resolve) => {
+      chrome.storage.sync.get("siteRules", (data) => {
+        const siteRules = normalizeSiteRules(data.siteRules);
+        mutator(siteRules);
+        chrome.storage.sync.set({ siteRules }, () => resolve());
+      });
+    }));
+  return siteRulesWriteChain;
+}
+
+// =================== Presence (idle, lock, suspend) ===================
+// Tabs should only age while the user is at the computer.  An away period
+// starts when chrome.idle reports "idle" or "locked", or is detected after
+// the fact as a gap between heartbeat alarms (system sleep).  When it ends,
+// every open time is moved forward by its length.  `presence` in
+// chrome.storage.local holds { awaySince, lastSeenAt }.
+
+function setupPresenceTracking() {
+  try {
+    chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  } catch (e) {
+    /* ignore */
+  }
+  chrome.alarms.create("presenceHeartbeat", { periodInMinutes: 1 });
+}
+
+function updatePresence(mutator) {
+  presenceWriteChain = presenceWriteChain
+    .catch(() => {})
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.get("presence", (data) => {
+        const presence = data.presence || {};
+        mutator(presence);
+        chrome.storage.local.set({ presence }, () => resolve());
+      });
+    }));
+  return presenceWriteChain;
+}
+
+function isPauseWhenAwayEnabled() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get("pauseWhenAway", (cfg) => resolve(cfg.pauseWhenAway !== false));
+  });
+}
+
+// Move open times (and stage timestamps measured against them) forward so
+// the away period does not count towards any tab's age.
+async function shiftTabAging(awayMs) {
+  if (!(awayMs > 0)) return;
+  await updateOpenTimes((openTimes) => {
+    Object.keys(openTimes).forEach((idStr) => {
+      if (openTimes[idStr]) openTimes[idStr] += awayMs;
+    });
+  });
+  await updateTabStates((tabStates) => {
+    Object.values(tabStates).forEach((state) => {
+      if (state.warnedAt) state.warnedAt += awayMs;
+      if (state.discardedAt) state.discardedAt += awayMs;
+    });
+  });
+  if (awayMs >= LONG_AWAY_MS) {
+    await new Promise((resolve) => chrome.storage.local.set({ wakeCapPending: true }, resolve));
+  }
+}
+
+async function handleIdleStateChange(state) {
+  if (!(await isPauseWhenAwayEnabled())) return;
+  const now = Date.now();
+  let awayMs = 0;
+  await updatePresence((presence) => {
+    if (state === "active") {
+      if (presence.awaySince) awayMs = now - presence.awaySince;
+      presence.awaySince = null;
+    } else if (!presence.awaySince) {
+      // "idle" is reported only after the detection interval has passed.
+      presence.awaySince = state === "idle" ? now - IDLE_DETECTION_SECONDS * 1000 : now;
+    }
+    presence.lastSeenAt = now;
+  });
+  await shiftTabAging(awayMs);
+}
+
+// A heartbeat arriving much later than its one-minute period means the
+// system was asleep; count the gap as time away unless an idle/lock period
+// already covers it.  Callers arriving while one is being recorded wait for
+// it instead of recording their own (which would see no gap).
+function recordHeartbeat() {
+  if (!heartbeatInFlight) {
+    heartbeatInFlight = applyHeartbeat().finally(() => {
+      heartbeatInFlight = null;
+    });
+  }
+  return heartbeatInFlight;
+}
+
+async function applyHeartbeat() {
+  if (!(await isPauseWhenAwayEnabled())) return;
+  const now = Date.now();
+  let awayMs = 0;
+  await updatePresence((presence) => {
+    const gap = presence.lastSeenAt ? now - presence.lastSeenAt : 0;
+    if (!presence.awaySince && gap > SUSPEND_GAP_MS) {
+      awayMs = gap - 60 * 1000;
+    }
+    presence.lastSeenAt = now;
+  });
+  await shiftTabAging(awayMs);
+}
+
+if (chrome.idle && chrome.idle.onStateChanged) {
+  chrome.idle.onStateChanged.addListener((state) => {
+    handleIdleStateChange(state);
+  });
+}
 
 // Helpers to serialize undoMap updates to avoid lost entries
 function enqueueUndoMapPut(id, value) {
@@ -1001,6 +2317,110 @@ function updateUndoMap(mutator) {
   return undoWriteChain;
 }
 
+function updateTabStates(mutator) {
+  tabStatesWriteChain = tabStatesWriteChain
+    .catch(() => {})
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.get("tabStates", (data) => {
+        const tabStates = data.tabStates || {};
+        mutator(tabStates);
+        chrome.storage.local.set({ tabStates }, () => resolve());
+      });
+    }));
+  return tabStatesWriteChain;
+}
+
+// Resolve a keep preset ("1h", "4h", "tomorrow") to a timestamp.  Tomorrow
+// means 9:00 local time on the next day.
+function keepUntilForPreset(preset, now = Date.now()) {
+  if (preset === '1h') return now + 60 * 60 * 1000;
+  if (preset === '4h') return now + 4 * 60 * 60 * 1000;
+  if (preset === 'tomorrow') {
+    const d = new Date(now);
+    d.setDate(d.getDate() + 1);
+    d.setHours(9, 0, 0, 0);
+    return d.getTime();
+  }
+  return null;
+}
+
+// Protect ("forever"), snooze ("1h", "4h", "tomorrow") or release ("clear")
+// a single tab.  Resolves with the tab's new state.
+async function setTabProtection(tabId, preset) {
+  const tab = await getTabOrNull(tabId);
+  if (!tab) throw new Error('Tab not found');
+  let next = null;
+  if (preset === 'forever') {
+    next = { protect: true, url: tab.url || '' };
+  } else if (preset !== 'clear') {
+    const snoozeUntil = keepUntilForPreset(preset);
+    if (!snoozeUntil) throw new Error(`Unknown preset: ${preset}`);
+    next = { snoozeUntil, url: tab.url || '' };
+  }
+  await updateTabStates((tabStates) => {
+    if (next) tabStates[tabId] = next;
+    else delete tabStates[tabId];
+  });
+  return next || {};
+}
+
+// Close a tab at a preset time ("1h", "4h", "tomorrow") whether or not it
+// was read.  Replaces any protection or snooze on the tab.
+async function scheduleTabClose(tabId, preset) {
+  const tab = await getTabOrNull(tabId);
+  if (!tab) throw new Error('Tab not found');
+  const closeAt = keepUntilForPreset(preset);
+  if (!closeAt) throw new Error(`Unknown preset: ${preset}`);
+  const next = { closeAt, url: tab.url || '' };
+  await updateTabStates((tabStates) => {
+    tabStates[tabId] = next;
+  });
+  scheduleTabCloseAlarm();
+  return next;
+}
+
+// Start a tab's timeout over, as if it had just been opened, and drop a
+// scheduled close.  Protection and snoozes stay.
+async function resetTabTimer(tabId) {
+  const tab = await getTabOrNull(tabId);
+  if (!tab) throw new Error('Tab not found');
+  await updateOpenTimes((openTimes) => {
+    openTimes[tabId] = Date.now();
+  });
+  let state = {};
+  await updateTabStates((tabStates) => {
+    if (!tabStates[tabId]) return;
+    delete tabStates[tabId].closeAt;
+    if (!Object.keys(tabStates[tabId]).some((key) => key !== 'url')) delete tabStates[tabId];
+    state = tabStates[tabId] || {};
+  });
+  scheduleTabCloseAlarm();
+  return state;
+}
+
+// One-shot alarm at the earliest scheduled close, so it happens on time even
+// with a long check period or a 00:00 timeout.
+function scheduleTabCloseAlarm() {
+  chrome.storage.local.get("tabStates", (data) => {
+    const now = Date.now();
+    const times = Object.values(data.tabStates || {})
+      .map((state) => Number(state.closeAt) || 0)
+      .filter((closeAt) => closeAt > now);
+    if (!times.length) {
+      chrome.alarms.clear("scheduledClose", () => {});
+      return;
+    }
+    chrome.alarms.create("scheduledClose", { when: Math.min(...times) + 1000 });
+  });
+}
+
+function describeTabState(state) {
+  if (state.protect) return 'This tab is protected from auto-close.';
+  if (state.snoozeUntil) return `Kept until ${new Date(state.snoozeUntil).toLocaleTimeString()}.`;
+  if (state.closeAt) return `This tab closes at ${new Date(state.closeAt).toLocaleString()}.`;
+  return 'Auto-close applies to this tab again.';
+}
+
 function updateOpenTimes(mutator) {
   openTimesWriteChain = openTimesWriteChain
     .catch(() => {})
@@ -1014,9 +2434,1723 @@ function updateOpenTimes(mutator) {
   return openTimesWriteChain;
 }
 
-// =================== Gmail via chrome.identity.getAuthToken ===================
+// =================== Keyboard shortcuts ===================
+// Commands from manifest.json; keys are set in chrome://extensions/shortcuts.
+// Each one runs the same code as the matching popup message.
 
-const GMAIL_SEND_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/messages/send';
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch((err) => {
+    notifyTabAction(String(err && (err.message || err)));
+  });
+});
+
+async function handleCommand(command) {
+  if (command === 'run-check') {
+    checkTabsNow();
+    return;
+  }
+  if (command === 'undo-close') {
+    const { entries } = await searchArchive({ limit: 1, countTotal: false });
+    if (!entries.length) {
+      notifyTabAction('No closed tabs to reopen.');
+      return;
+    }
+    await restoreClosedEntry(entries[0].id);
+    return;
+  }
+  if (command === 'protect-tab' || command === 'snooze-tab') {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab) throw new Error('No active tab');
+    let preset = '1h';
+    if (command === 'protect-tab') {
+      // Pressing the shortcut again on a protected tab lifts the protection.
+      const { tabStates = {} } = await chrome.storage.local.get('tabStates');
+      preset = tabStates[tab.id] && tabStates[tab.id].protect ? 'clear' : 'forever';
+    }
+    notifyTabAction(describeTabState(await setTabProtection(tab.id, preset)));
+    return;
+  }
+  if (command === 'open-history') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#history-section') });
+  }
+}
+
+function notifyTabAction(message) {
+  chrome.notifications.create(`tab-action-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Tab Monitor Closer',
+    message,
+    priority: 0,
+  });
+}
+
+// =================== Context menus ===================
+// One-off decisions about a single tab or site from the page's context menu
+// or the toolbar icon's.  They write the same tab states and site rules the
+// check reads.
+
+const CONTEXT_MENU_ITEMS = [
+  { id: 'never-site', title: 'Never auto-close this site' },
+  { id: 'protect-tab', title: 'Protect this tab' },
+  { id: 'close-in', title: 'Close this tab in' },
+  { id: 'close-1h', parentId: 'close-in', title: '1 hour' },
+  { id: 'close-4h', parentId: 'close-in', title: '4 hours' },
+  { id: 'close-tomorrow', parentId: 'close-in', title: 'Tomorrow (9:00)' },
+  { id: 'reset-timer', title: "Reset this tab's timer" },
+];
+
+// Menus persist across restarts, so they are (re)built on install and update.
+function setupContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach((item) => {
+      chrome.contextMenus.create({ ...item, contexts: ['page', 'action'] });
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenu(info.menuItemId, tab).catch((err) => {
+    notifyTabAction(String(err && (err.message || err)));
+  });
+});
+
+async function handleContextMenu(menuItemId, tab) {
+  if (!tab || tab.id == null || tab.id < 0) throw new Error('No tab for this action');
+  if (menuItemId === 'never-site') {
+    const host = await neverCloseSite(tab.url);
+    notifyTabAction(`Tabs on ${host} are never closed automatically.`);
+    return;
+  }
+  if (menuItemId === 'protect-tab') {
+    notifyTabAction(describeTabState(await setTabProtection(tab.id, 'forever')));
+    return;
+  }
+  if (String(menuItemId).startsWith('close-')) {
+    notifyTabAction(describeTabState(await scheduleTabClose(tab.id, String(menuItemId).slice('close-'.length))));
+    return;
+  }
+  if (menuItemId === 'reset-timer') {
+    await resetTabTimer(tab.id);
+    notifyTabAction("This tab's timer starts over now.");
+  }
+}
+
+// Put a "never" host rule for the URL's site first in the rule list (the
+// first match wins), replacing any other host rule for the same site.
+async function neverCloseSite(url) {
+  const host = /^https?:/i.test(url || '') ? domainOf(url) : '';
+  if (!host) throw new Error('Site rules only apply to http(s) pages');
+  const rule = parseSiteRule({ pattern: host, match: 'host', action: 'never' });
+  await updateSiteRules((siteRules) => {
+    const existing = siteRules.findIndex((r) => r.match === 'host' && r.pattern.toLowerCase() === host);
+    if (existing !== -1) rule.id = siteRules.splice(existing, 1)[0].id;
+    siteRules.unshift(rule);
+  });
+  return host;
+}
+
+// =================== Omnibox ===================
+// Typing "tmc" and a space in the address bar searches the closed-tab
+// archive by title and URL; picking a suggestion reopens that tab.  Each
+// suggestion's content starts with "#<archive id>" so the pick is exact;
+// pressing Enter on plain text reopens the best match.  Enter loads it in
+// the current tab, Alt+Enter in a new one.
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Reopen a closed tab matching <match>%s</match>' });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  clearTimeout(omniboxSearchTimer);
+  const query = text.trim();
+  if (!query) {
+    suggest([]);
+    return;
+  }
+  // Search once typing pauses; suggestions for skipped input are never shown.
+  omniboxSearchTimer = setTimeout(() => {
+    searchArchive({ query, limit: OMNIBOX_MAX_SUGGESTIONS, countTotal: false })
+      .then(({ entries }) => {
+        suggest(entries.map((entry) => ({
+          content: `#${entry.id} ${entry.url}`,
+          description: omniboxDescription(entry, query)
+        })));
+      })
+      .catch(() => suggest([]));
+  }, OMNIBOX_DEBOUNCE_MS);
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  clearTimeout(omniboxSearchTimer);
+  reopenFromOmnibox(text, disposition).catch((err) => {
+    notifyTabAction(String(err && (err.message || err)));
+  });
+});
+
+async function reopenFromOmnibox(text, disposition = 'currentTab') {
+  const picked = /^#(\d+)\s/.exec(text);
+  let id = picked ? Number(picked[1]) : null;
+  if (id == null) {
+    const { entries } = await searchArchive({ query: text.trim(), limit: 1, countTotal: false });
+    if (!entries.length) throw new Error(`No closed tab matches "${text.trim()}".`);
+    id = entries[0].id;
+  }
+  if (disposition === 'newForegroundTab') {
+    await restoreClosedEntry(id);
+    return;
+  }
+  if (disposition === 'newBackgroundTab') {
+    await restoreClosedEntry(id, { active: false });
+    return;
+  }
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  await restoreClosedEntry(id, tab ? { tabId: tab.id } : {});
+}
+
+// Suggestion descriptions are XML: escape the text and mark the match.
+function escapeOmniboxXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function omniboxHighlight(text, query) {
+  const at = text.toLowerCase().indexOf(query.toLowerCase());
+  if (at === -1) return escapeOmniboxXml(text);
+  return escapeOmniboxXml(text.slice(0, at))
+    + `<match>${escapeOmniboxXml(text.slice(at, at + query.length))}</match>`
+    + escapeOmniboxXml(text.slice(at + query.length));
+}
+
+function omniboxDescription(entry, query) {
+  const title = entry.title && entry.title.trim();
+  const closed = `<dim>closed ${escapeOmniboxXml(new Date(entry.ts).toLocaleString())}</dim>`;
+  const url = `<url>${omniboxHighlight(entry.url, query)}</url>`;
+  return title ? `${omniboxHighlight(title, query)} <dim>-</dim> ${url} ${closed}` : `${url} ${closed}`;
+}
+
+// =================== Secrets ===================
+// Credentials (the settings marked `secret` in SETTINGS_SCHEMA) live in
+// chrome.storage.local under `secretStore`, never in sync, encrypted with
+// AES-GCM:
+//   { version, salt, passphrase, check: box, values: { name: box } }
+// where a box is { iv, data } in base64.  The key is derived with PBKDF2
+// from the optional passphrase (an empty one when none is set).  With a
+// passphrase, the unlocked key is kept in chrome.storage.session so it
+// survives service-worker restarts but not a browser restart; until the
+// user unlocks again, reading a secret throws and notifications wait in
+// the outbox.
+
+const SECRET_STORE_VERSION = 1;
+const SECRET_CHECK_TEXT = 'tab-monitor-closer';
+
+let cachedSecretKey = null;
+
+function secretNames() {
+  return Object.keys(SETTINGS_SCHEMA).filter((key) => SETTINGS_SCHEMA[key].secret);
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function secretsLockedError() {
+  const err = new Error('Secrets are locked; enter the passphrase in the extension options');
+  err.locked = true;
+  return err;
+}
+
+async function deriveSecretKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase || ''), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: SECRETS_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function encryptSecret(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+async function decryptSecret(key, box) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data));
+  return new TextDecoder().decode(data);
+}
+
+function readSecretStore() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get("secretStore", (data) => {
+      const store = data.secretStore;
+      resolve(store && store.version === SECRET_STORE_VERSION ? store : null);
+    });
+  });
+}
+
+function writeSecretStore(secretStore) {
+  return new Promise((resolve) => chrome.storage.local.set({ secretStore }, () => resolve()));
+}
+
+async function createSecretStore(passphrase = '') {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveSecretKey(passphrase, salt);
+  return {
+    store: { version: SECRET_STORE_VERSION, salt, passphrase: Boolean(passphrase), check: await encryptSecret(key, SECRET_CHECK_TEXT), values: {} },
+    key,
+  };
+}
+
+// Key for the current store, or a "locked" error when a passphrase is set
+// and nobody has entered it since the browser started.
+async function getSecretKey(store) {
+  if (cachedSecretKey) return cachedSecretKey;
+  if (!store.passphrase) {
+    cachedSecretKey = await deriveSecretKey('', store.salt);
+    return cachedSecretKey;
+  }
+  const { secretKey } = await chrome.storage.session.get('secretKey');
+  if (!secretKey) throw secretsLockedError();
+  cachedSecretKey = await crypto.subtle.importKey('raw', base64ToBytes(secretKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  return cachedSecretKey;
+}
+
+async function rememberUnlockedKey(key) {
+  cachedSecretKey = key;
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ secretKey: bytesToBase64(raw) });
+}
+
+function updateSecretStore(mutator) {
+  secretsWriteChain = secretsWriteChain
+    .catch(() => {})
+    .then(async () => {
+      let store = await readSecretStore();
+      if (!store) {
+        const created = await createSecretStore();
+        store = created.store;
+        cachedSecretKey = created.key;
+      }
+      const result = await mutator(store);
+      await writeSecretStore(store);
+      return result;
+    });
+  return secretsWriteChain;
+}
+
+// Decrypted value, or '' when the secret is not set.
+async function getSecret(name) {
+  const store = await readSecretStore();
+  const box = store && store.values[name];
+  if (!box) return '';
+  return decryptSecret(await getSecretKey(store), box);
+}
+
+async function hasSecret(name) {
+  const store = await readSecretStore();
+  return Boolean(store && store.values[name]);
+}
+
+// An empty value removes the secret.
+function setSecret(name, value) {
+  if (!secretNames().includes(name)) return Promise.reject(new Error(`Unknown secret: ${name}`));
+  const text = SETTINGS_SCHEMA[name].validate(value).trim();
+  return updateSecretStore(async (store) => {
+    if (!text) {
+      delete store.values[name];
+      return;
+    }
+    store.values[name] = await encryptSecret(await getSecretKey(store), text);
+  });
+}
+
+async function getSecretStatus() {
+  const store = await readSecretStore();
+  let locked = false;
+  if (store && store.passphrase && !cachedSecretKey) {
+    const { secretKey } = await chrome.storage.session.get('secretKey');
+    locked = !secretKey;
+  }
+  const secrets = {};
+  secretNames().forEach((name) => {
+    secrets[name] = Boolean(store && store.values[name]);
+  });
+  return { passphrase: Boolean(store && store.passphrase), locked, secrets };
+}
+
+async function unlockSecrets(passphrase) {
+  const store = await readSecretStore();
+  if (!store || !store.passphrase) return;
+  const key = await deriveSecretKey(passphrase, store.salt);
+  try {
+    await decryptSecret(key, store.check);
+  } catch (err) {
+    throw new Error('Wrong passphrase');
+  }
+  await rememberUnlockedKey(key);
+  await migrateSecrets();
+  ensureTelegramPolling();
+  processOutbox({ force: true });
+}
+
+async function lockSecrets() {
+  const store = await readSecretStore();
+  if (!store || !store.passphrase) return;
+  cachedSecretKey = null;
+  await chrome.storage.session.remove('secretKey');
+}
+
+// Set, change or (with an empty `next`) remove the passphrase.  Every
+// secret is re-encrypted under a fresh salt; `current` is only needed while
+// locked.
+function setSecretsPassphrase({ current = '', next = '' } = {}) {
+  return updateSecretStore(async (store) => {
+    let key;
+    if (store.passphrase && current) {
+      key = await deriveSecretKey(current, store.salt);
+      try {
+        await decryptSecret(key, store.check);
+      } catch (err) {
+        throw new Error('Wrong current passphrase');
+      }
+    } else {
+      key = await getSecretKey(store);
+    }
+    const plain = {};
+    for (const name of Object.keys(store.values)) plain[name] = await decryptSecret(key, store.values[name]);
+    const created = await createSecretStore(next);
+    for (const name of Object.keys(plain)) created.store.values[name] = await encryptSecret(created.key, plain[name]);
+    Object.assign(store, created.store);
+    if (next) {
+      await rememberUnlockedKey(created.key);
+    } else {
+      cachedSecretKey = created.key;
+      await chrome.storage.session.remove('secretKey');
+    }
+  });
+}
+
+// Move plain-text secrets left in chrome.storage.sync by earlier versions
+// (or synced from a device still running one) into the encrypted store.
+// While locked they stay where they are until the next unlock.
+async function migrateSecrets() {
+  const names = secretNames();
+  const legacy = await new Promise((resolve) => chrome.storage.sync.get(names, resolve));
+  for (const name of names) {
+    if (!(name in legacy)) continue;
+    try {
+      if (String(legacy[name] || '').trim()) await setSecret(name, String(legacy[name]));
+      await new Promise((resolve) => chrome.storage.sync.remove(name, () => resolve()));
+    } catch (err) {
+      if (!err.locked) console.warn(`Could not migrate ${name} to the secret store`, err);
+    }
+  }
+}
+
+// =================== Settings backup ===================
+// Settings are exported as a versioned JSON document:
+//   { format, version, exportedAt, settings: { key: value }, omitted: [keys] }
+// Every chrome.storage.sync key the extension owns is listed in
+// SETTINGS_SCHEMA with a validator that returns the normalized value or
+// throws.  Secrets are left out of exports unless asked for; keys missing
+// from an imported document keep their current value.
+
+const SETTINGS_DOCUMENT_FORMAT = 'tab-monitor-closer-settings';
+const SETTINGS_DOCUMENT_VERSION = 1;
+
+function settingInt(min, max) {
+  return (value) => {
+    const n = Number(value);
+    if (typeof value === 'boolean' || value === '' || !Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`expected a whole number from ${min} to ${max}`);
+    }
+    return n;
+  };
+}
+
+function settingBool(value) {
+  if (typeof value !== 'boolean') throw new Error('expected true or false');
+  return value;
+}
+
+function settingString(maxLength) {
+  return (value) => {
+    if (typeof value !== 'string') throw new Error('expected a string');
+    if (value.length > maxLength) throw new Error(`longer than ${maxLength} characters`);
+    return value;
+  };
+}
+
+// Long free text kept in chrome.storage.sync: the per-item quota counts the
+// UTF-8 bytes of the value's JSON, so escapes and non-ASCII text use more
+// than one byte per character.
+function settingSyncText(value) {
+  settingString(Infinity)(value);
+  const bytes = new TextEncoder().encode(JSON.stringify(value)).length;
+  if (bytes > SYNC_TEXT_MAX_BYTES) throw new Error(`too long to sync (${bytes} of ${SYNC_TEXT_MAX_BYTES} bytes)`);
+  return value;
+}
+
+function settingEnum(values) {
+  return (value) => {
+    if (!values.includes(value)) throw new Error(`expected one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+const SETTINGS_SCHEMA = {
+  thresholdHours: { validate: settingInt(0, 999) },
+  thresholdMinutes: { validate: settingInt(0, 59) },
+  batchWindowMinutes: { validate: settingInt(1, 1440) },
+  warnAtPercent: { validate: settingInt(0, 99) },
+  discardAtPercent: { validate: settingInt(0, 99) },
+  pauseWhenAway: { validate: settingBool },
+  wakeCloseLimit: { validate: settingInt(0, 999) },
+  engagementModel: {
+    validate(value) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('expected an object');
+      return normalizeEngagementModel(value);
+    },
+  },
+  tabBudget: { validate: settingInt(0, 999) },
+  tabBudgetScope: { validate: settingEnum(['window', 'browser']) },
+  duplicateMode: { validate: settingEnum(['off', 'ask', 'auto']) },
+  duplicateHostRules: { validate: settingString(5000) },
+  siteRules: {
+    validate(value) {
+      if (!Array.isArray(value)) throw new Error('expected a list of rules');
+      return value.map((rule, i) => {
+        try {
+          return parseSiteRule(rule);
+        } catch (err) {
+          throw new Error(`rule ${i + 1}: ${err.message}`);
+        }
+      });
+    },
+  },
+  historyRetentionDays: { validate: settingInt(0, 99999) },
+  notifyEmail: { validate: settingString(320) },
+  emailAttachment: { validate: settingEnum(EMAIL_ATTACHMENT_FORMATS) },
+  emailSubjectTemplate: { validate: settingString(500) },
+  emailBodyTemplate: { validate: settingSyncText },
+  tgToken: { validate: settingString(200), secret: true },
+  tgChatId: { validate: settingString(100) },
+  tgReopenButtons: { validate: settingBool },
+  // tgApiOrigin is left out on purpose: the bot token travels in the URL to
+  // that server, so a shared settings file must not be able to change it.
+  telegramTemplate: {
+    validate(value) {
+      const template = settingSyncText(value);
+      const error = telegramTemplateError(template);
+      if (error) throw new Error(error);
+      return template;
+    },
+  },
+  // Webhook URLs (Slack, Discord) and auth headers grant posting access.
+  webhookUrl: { validate: settingString(2000), secret: true },
+  webhookMethod: { validate: settingEnum(WEBHOOK_METHODS) },
+  webhookHeaders: { validate: settingString(5000), secret: true },
+  webhookBodyTemplate: {
+    validate(value) {
+      const template = settingSyncText(value);
+      if (template.trim()) renderWebhookBody(template, []);
+      return template;
+    },
+  },
+  digestSchedules: {
+    validate(value) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('expected an object');
+      return normalizeDigestSchedules(value);
+    },
+  },
+  logFileName: { validate: settingString(255) },
+  logFormat: { validate: settingEnum(Object.keys(LOG_FORMATS)) },
+  logSaveAsEveryTime: { validate: settingBool },
+  logExportOnClose: { validate: settingBool },
+};
+
+// Stored values for `keys`: settings from chrome.storage.sync, secrets from
+// the secret store.  Secrets are only decrypted with `decrypt`; otherwise a
+// set secret reads as true.
+async function readSettingValues(keys, { decrypt = false } = {}) {
+  const current = await new Promise((resolve) => chrome.storage.sync.get(keys, resolve));
+  const status = await getSecretStatus();
+  for (const key of keys) {
+    if (!SETTINGS_SCHEMA[key] || !SETTINGS_SCHEMA[key].secret) continue;
+    delete current[key];
+    if (status.secrets[key]) current[key] = decrypt ? await getSecret(key) : true;
+  }
+  return current;
+}
+
+async function exportSettings({ includeSecrets = false } = {}) {
+  const keys = Object.keys(SETTINGS_SCHEMA);
+  const current = await readSettingValues(keys, { decrypt: includeSecrets });
+  const settings = {};
+  const omitted = [];
+  keys.forEach((key) => {
+    if (!(key in current)) return;
+    if (SETTINGS_SCHEMA[key].secret && !includeSecrets) {
+      omitted.push(key);
+      return;
+    }
+    settings[key] = current[key];
+  });
+  return {
+    format: SETTINGS_DOCUMENT_FORMAT,
+    version: SETTINGS_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    omitted,
+  };
+}
+
+// Validate an imported document.  Unknown keys are reported and skipped;
+// invalid values are collected in `errors` so they can all be shown at once.
+function parseSettingsDocument(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error('Not a settings file');
+  if (doc.format !== SETTINGS_DOCUMENT_FORMAT) throw new Error('Not a Tab Monitor Closer settings file');
+  const version = Number(doc.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error('Missing settings file version');
+  if (version > SETTINGS_DOCUMENT_VERSION) {
+    throw new Error(`Settings file version ${version} is newer than this extension supports`);
+  }
+  if (!doc.settings || typeof doc.settings !== 'object' || Array.isArray(doc.settings)) {
+    throw new Error('Settings file has no settings');
+  }
+  const settings = {};
+  const errors = [];
+  const ignored = [];
+  Object.keys(doc.settings).forEach((key) => {
+    const schema = Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key) ? SETTINGS_SCHEMA[key] : null;
+    if (!schema) {
+      ignored.push(key);
+      return;
+    }
+    try {
+      settings[key] = schema.validate(doc.settings[key]);
+    } catch (err) {
+      errors.push(`${key}: ${err.message}`);
+    }
+  });
+  return { settings, errors, ignored };
+}
+
+// Compare validated settings with the stored ones.  Secret values are never
+// echoed back, only whether they change.
+async function diffSettings(settings) {
+  const keys = Object.keys(settings);
+  const status = await getSecretStatus();
+  const current = await readSettingValues(keys, { decrypt: !status.locked });
+  const changes = [];
+  keys.forEach((key) => {
+    const before = key in current ? current[key] : null;
+    const after = settings[key];
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    const secret = Boolean(SETTINGS_SCHEMA[key].secret);
+    changes.push({
+      key,
+      secret,
+      before: secret ? (before ? 'set' : 'not set') : before,
+      after: secret ? (after ? (before ? 'replaced' : 'set') : 'not set') : after,
+    });
+  });
+  return changes;
+}
+
+async function previewSettingsImport(doc) {
+  const { settings, errors, ignored } = parseSettingsDocument(doc);
+  const changes = await diffSettings(settings);
+  return { changes, errors, ignored, omitted: Array.isArray(doc.omitted) ? doc.omitted.map(String) : [] };
+}
+
+async function importSettings(doc) {
+  const { settings, errors } = parseSettingsDocument(doc);
+  if (errors.length) throw new Error(`Invalid settings: ${errors.join('; ')}`);
+  const changes = await diffSettings(settings);
+  if (!changes.length) return { applied: [] };
+  const updates = {};
+  const secrets = [];
+  changes.forEach(({ key }) => {
+    if (SETTINGS_SCHEMA[key].secret) secrets.push(key);
+    else updates[key] = settings[key];
+  });
+  for (const key of secrets) await setSecret(key, settings[key]);
+  await new Promise((resolve, reject) => {
+    chrome.storage.sync.set(updates, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+  return { applied: secrets.concat(Object.keys(updates)) };
+}
+
+// =================== History archive (IndexedDB) ===================
+// Closed tabs are kept in IndexedDB rather than chrome.storage.local so the
+// history is not capped at a few dozen entries.  Each entry gets an
+// auto-increment `id` plus derived `domain` and `domains` (the host and each
+// parent domain, for the domain filter) fields for the indexes, and a
+// `titleLower` copy of the title for the text search.  Entries older than `historyRetentionDays` (sync, 0 = forever)
+// are pruned daily.
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+  historyDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ts', 'ts');
+        store.createIndex('domain', 'domain');
+      }
+      // Version 2: event log for the statistics page.
+      if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+        const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id', autoIncrement: true });
+        events.createIndex('ts', 'ts');
+      }
+      // Version 3: indexes for the domain filter and batch sizes; entries
+      // from earlier versions get their `domains` filled in.
+      const history = req.transaction.objectStore(HISTORY_STORE);
+      if (!history.indexNames.contains('batchId')) history.createIndex('batchId', 'batchId');
+      if (!history.indexNames.contains('domains')) {
+        history.createIndex('domains', 'domains', { multiEntry: true });
+        history.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.update({ ...cursor.value, domains: domainSuffixes(cursor.value.domain) });
+          cursor.continue();
+        };
+      }
+      // Version 4: checks are summed per hour; the single `check` rows of
+      // earlier versions are folded into hourly rows.
+      if (event.oldVersion >= 2 && event.oldVersion < 4) {
+        const events = req.transaction.objectStore(EVENTS_STORE);
+        const hours = new Map();
+        events.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) {
+            hours.forEach((row) => events.add(row));
+            return;
+          }
+          if (cursor.value.type === 'check') {
+            const ts = checkHourStart(cursor.value.ts);
+            if (!hours.has(ts)) hours.set(ts, emptyCheckHour(ts));
+            addCheckToHour(hours.get(ts), cursor.value);
+            cursor.delete();
+          }
+          cursor.continue();
+        };
+      }
+      // Version 5: the text search scans titles, so `titleLower` needs no index.
+      if (history.indexNames.contains('titleLower')) history.deleteIndex('titleLower');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      historyDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return historyDbPromise;
+}
+
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function historyStore(mode, name = HISTORY_STORE) {
+  const db = await openHistoryDb();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return '';
+  }
+}
+
+// "a.example.com" -> ["a.example.com", "example.com", "com"], so a filter
+// for a domain also finds its subdomains with one index lookup.
+function domainSuffixes(domain) {
+  const labels = String(domain || '').split('.').filter(Boolean);
+  return labels.map((label, i) => labels.slice(i).join('.'));
+}
+
+async function archivePut(entry) {
+  const record = { ...entry };
+  if (record.id == null) delete record.id;
+  record.domain = domainOf(record.url);
+  record.domains = domainSuffixes(record.domain);
+  record.titleLower = String(record.title || record.url || '').toLowerCase();
+  const store = await historyStore('readwrite');
+  return idbResult(store.put(record));
+}
+
+async function archiveGet(id) {
+  const store = await historyStore('readonly');
+  return (await idbResult(store.get(id))) || null;
+}
+
+async function archiveDelete(id) {
+  const store = await historyStore('readwrite');
+  await idbResult(store.delete(id));
+}
+
+async function archiveClear() {
+  const store = await historyStore('readwrite');
+  await idbResult(store.clear());
+}
+
+// Walk the archive newest first and call `visit` for each entry until it
+// returns false.  With `domain` only that domain and its subdomains are read
+// (domains index, in id order, which follows closing order); otherwise the
+// ts index is walked within `from`/`to`.
+async function walkArchive({ from = null, to = null, domain = '' } = {}, visit) {
+  const store = await historyStore('readonly');
+  const inRange = (entry) => (from == null || entry.ts >= from) && (to == null || entry.ts <= to);
+  await new Promise((resolve, reject) => {
+    const req = domain
+      ? store.index('domains').openCursor(IDBKeyRange.only(domain), 'prev')
+      : store.index('ts').openCursor(
+        from != null || to != null
+          ? IDBKeyRange.bound(from != null ? from : 0, to != null ? to : Number.MAX_SAFE_INTEGER)
+          : null,
+        'prev'
+      );
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || (inRange(cursor.value) && visit(cursor.value) === false)) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function countBatch(batchId) {
+  const store = await historyStore('readonly');
+  return idbResult(store.index('batchId').count(IDBKeyRange.only(batchId)));
+}
+
+// Search closed tabs.  Filters: `query` (title or URL substring), `from` and
+// `to` (timestamps), `domain` (host or parent domain), `reason`, plus
+// `offset`/`limit` for paging.  Resolves with the page and the total count;
+// with `countTotal: false` the walk stops once the page is full and `total`
+// is null.
+async function searchArchive(filters = {}) {
+  const query = String(filters.query || '').trim().toLowerCase();
+  const domain = String(filters.domain || '').trim().toLowerCase().replace(/^www\./, '');
+  const reason = filters.reason ? String(filters.reason) : '';
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  const limit = Math.max(1, Number(filters.limit) || MAX_HISTORY);
+  const countTotal = filters.countTotal !== false;
+  const entries = [];
+  let total = 0;
+  await walkArchive({ from: filters.from, to: filters.to, domain }, (entry) => {
+    if (query && !entry.titleLower.includes(query) && !String(entry.url || '').toLowerCase().includes(query)) return true;
+    // Entries from before close reasons were recorded are timeouts.
+    if (reason && (entry.reason || 'timeout') !== reason) return true;
+    if (total >= offset && entries.length < limit) entries.push(entry);
+    total++;
+    return countTotal || entries.length < limit;
+  });
+  // Size of each batch on the page, so the popup can offer "restore batch".
+  const batchSizes = {};
+  for (const entry of entries) {
+    if (entry.batchId && !(entry.batchId in batchSizes)) batchSizes[entry.batchId] = await countBatch(entry.batchId);
+  }
+  return { entries, total: countTotal ? total : null, offset, limit, batchSizes };
+}
+
+// Archived entries, newest first, at most `limit` (used by the log file
+// export).
+async function listArchiveEntries({ limit = Infinity } = {}) {
+  const entries = [];
+  await walkArchive({}, (entry) => {
+    entries.push(entry);
+    return entries.length < limit;
+  });
+  return entries;
+}
+
+async function getHistoryRetentionDays() {
+  const cfg = await new Promise((resolve) => chrome.storage.sync.get("historyRetentionDays", resolve));
+  const days = Number(cfg.historyRetentionDays);
+  return cfg.historyRetentionDays != null && Number.isFinite(days) && days >= 0
+    ? Math.floor(days)
+    : DEFAULT_HISTORY_RETENTION_DAYS;
+}
+
+async function pruneHistoryArchive() {
+  try {
+    const days = await getHistoryRetentionDays();
+    if (!days) return;
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const store = await historyStore('readwrite');
+    await new Promise((resolve, reject) => {
+      const req = store.index('ts').openCursor(IDBKeyRange.upperBound(cutoff, true));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch (err) {
+    console.warn("[TMC] history prune failed", err);
+  }
+}
+
+// Move history kept in chrome.storage.local by earlier versions into the
+// archive.  htmlLogEntries duplicated closedHistory and is simply dropped.
+async function migrateLegacyHistory() {
+  const data = await new Promise((resolve) =>
+    chrome.storage.local.get(["closedHistory", "htmlLogEntries"], resolve),
+  );
+  if (!("closedHistory" in data) && !("htmlLogEntries" in data)) return;
+  const legacy = Array.isArray(data.closedHistory) ? data.closedHistory : [];
+  // Oldest first so ids follow closing order.
+  for (const entry of legacy.slice().reverse()) {
+    if (entry && entry.url) await archivePut({ ...entry, id: undefined });
+  }
+  await new Promise((resolve) => chrome.storage.local.remove(["closedHistory", "htmlLogEntries"], resolve));
+}
+
+function setupHistoryMaintenance() {
+  historyWriteChain = historyWriteChain
+    .catch(() => {})
+    .then(() => migrateLegacyHistory())
+    .catch((err) => console.warn("[TMC] history migration failed", err))
+    .then(() => pruneHistoryArchive())
+    .then(() => pruneEventLog());
+  chrome.alarms.create("historyPrune", { periodInMinutes: 24 * 60 });
+}
+
+// =================== Statistics (event log) ===================
+// Closures, restores and checks are appended to the `events` store of the
+// history database and summarized for the statistics page.  Events are
+// small and kept for EVENT_LOG_RETENTION_DAYS regardless of how long the
+// closed-tab archive is kept.
+//   { type: 'close', ts, domain, reason }
+//   { type: 'restore', ts, domain }
+//   { type: 'checks', ts (start of the hour), checks, durationTotal,
+//     durationMax, scanned, eligible, closed, scriptErrors, skipped }
+// Checks can run every minute, so they are summed into one row per hour.
+
+function logEvent(event) {
+  historyStore('readwrite', EVENTS_STORE)
+    .then((store) => idbResult(store.add({ ts: Date.now(), ...event })))
+    .catch((err) => console.warn("[TMC] event log failed", err));
+}
+
+function checkHourStart(ts) {
+  const hour = new Date(ts);
+  hour.setMinutes(0, 0, 0);
+  return hour.getTime();
+}
+
+function emptyCheckHour(ts) {
+  return {
+    type: 'checks', ts, checks: 0, durationTotal: 0, durationMax: 0,
+    scanned: 0, eligible: 0, closed: 0, scriptErrors: 0, skipped: {},
+  };
+}
+
+function addCheckToHour(row, check) {
+  const durationMs = Number(check.durationMs) || 0;
+  row.checks++;
+  row.durationTotal += durationMs;
+  row.durationMax = Math.max(row.durationMax, durationMs);
+  ['scanned', 'eligible', 'closed', 'scriptErrors'].forEach((key) => {
+    row[key] += Number(check[key]) || 0;
+  });
+  Object.keys(check.skipped || {}).forEach((reason) => {
+    row.skipped[reason] = (row.skipped[reason] || 0) + (Number(check.skipped[reason]) || 0);
+  });
+}
+
+// Add one check to the row for the current hour, read and written in the
+// same transaction.
+function logCheck(check) {
+  const ts = checkHourStart(Date.now());
+  historyStore('readwrite', EVENTS_STORE)
+    .then((store) => new Promise((resolve, reject) => {
+      const req = store.index('ts').openCursor(IDBKeyRange.only(ts));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor && cursor.value.type !== 'checks') {
+          cursor.continue();
+          return;
+        }
+        const row = cursor ? cursor.value : emptyCheckHour(ts);
+        addCheckToHour(row, check);
+        resolve(idbResult(cursor ? cursor.update(row) : store.add(row)));
+      };
+      req.onerror = () => reject(req.error);
+    }))
+    .catch((err) => console.warn("[TMC] event log failed", err));
+}
+
+async function pruneEventLog() {
+  try {
+    const cutoff = Date.now() - EVENT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const store = await historyStore('readwrite', EVENTS_STORE);
+    await new Promise((resolve, reject) => {
+      const req = store.index('ts').openCursor(IDBKeyRange.upperBound(cutoff, true));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch (err) {
+    console.warn("[TMC] event log prune failed", err);
+  }
+}
+
+// Local calendar day, YYYY-MM-DD.
+function dayKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Summarize the last `days` days of events for the statistics page.
+async function getStats({ days = 30 } = {}) {
+  const span = Math.min(EVENT_LOG_RETENTION_DAYS, Math.max(1, Math.floor(Number(days)) || 30));
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (span - 1));
+  const perDay = {};
+  for (let d = new Date(start); d.getTime() <= Date.now(); d.setDate(d.getDate() + 1)) {
+    perDay[dayKey(d.getTime())] = { closed: {}, checks: 0, durationTotal: 0, durationMax: 0 };
+  }
+  const domains = {};
+  const skipped = {};
+  const totals = { closed: 0, restored: 0, checks: 0, scriptErrors: 0, scanned: 0 };
+  const domainEntry = (domain) => {
+    const key = domain || '(other)';
+    if (!domains[key]) domains[key] = { domain: key, closed: 0, restored: 0 };
+    return domains[key];
+  };
+
+  const store = await historyStore('readonly', EVENTS_STORE);
+  await new Promise((resolve, reject) => {
+    const req = store.index('ts').openCursor(IDBKeyRange.lowerBound(start.getTime()));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const event = cursor.value;
+      const day = perDay[dayKey(event.ts)];
+      if (event.type === 'close') {
+        totals.closed++;
+        domainEntry(event.domain).closed++;
+        if (day) day.closed[event.reason] = (day.closed[event.reason] || 0) + 1;
+      } else if (event.type === 'restore') {
+        totals.restored++;
+        domainEntry(event.domain).restored++;
+      } else if (event.type === 'checks') {
+        totals.checks += Number(event.checks) || 0;
+        totals.scriptErrors += Number(event.scriptErrors) || 0;
+        totals.scanned += Number(event.scanned) || 0;
+        Object.keys(event.skipped || {}).forEach((reason) => {
+          skipped[reason] = (skipped[reason] || 0) + (Number(event.skipped[reason]) || 0);
+        });
+        if (day) {
+          day.checks += Number(event.checks) || 0;
+          day.durationTotal += Number(event.durationTotal) || 0;
+          day.durationMax = Math.max(day.durationMax, Number(event.durationMax) || 0);
+        }
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+
+  const lastCheck = await new Promise((resolve) =>
+    chrome.storage.local.get(
+      [
+        "lastCheckAt",
+        "lastCheckDurationMs",
+        "lastCheckStatus",
+        "lastCheckScannedTabs",
+        "lastCheckEligibleTabs",
+        "lastCheckClosedTabs",
+        "lastCheckScriptErrors",
+        "lastCheckSkippedTabs",
+      ],
+      resolve,
+    ),
+  );
+
+  return {
+    days: span,
+    totals: {
+      ...totals,
+      restoreRate: totals.closed ? totals.restored / totals.closed : 0,
+      avgScanned: totals.checks ? totals.scanned / totals.checks : 0,
+    },
+    perDay: Object.keys(perDay).map((day) => ({
+      day,
+      closed: perDay[day].closed,
+      checks: perDay[day].checks,
+      avgDurationMs: perDay[day].checks ? Math.round(perDay[day].durationTotal / perDay[day].checks) : 0,
+      maxDurationMs: perDay[day].durationMax,
+    })),
+    topDomains: Object.values(domains)
+      .filter((d) => d.closed > 0)
+      .sort((a, b) => b.closed - a.closed || a.domain.localeCompare(b.domain))
+      .slice(0, 10),
+    skipped,
+    lastCheck,
+  };
+}
+
+// =================== Delivery outbox ===================
+// Batches a channel could not deliver are kept in chrome.storage.local
+// (`outbox`) and retried with exponential backoff from the "outboxRetry"
+// alarm, so they survive service-worker restarts.  Per-channel counters live
+// in `deliveryStats`.
+
+// Delivery order for each batch.  `send` resolves true once delivered and
+// false when the channel is not configured.
+const NOTIFICATION_CHANNELS = {
+  email: { label: 'Email', send: (entries, options) => sendBatchByEmail(entries, options) },
+  telegram: { label: 'Telegram', send: (entries, options) => sendBatchByTelegram(entries, options) },
+  webhook: { label: 'Webhook', send: (entries, options) => sendWebhook(entries, options) },
+};
+
+// Errors caused by the user's configuration fail the same way on every
+// attempt, so they go straight to "failed" instead of being retried.
+function deliveryConfigError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function retryAfterMs(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+// Network errors (no status), expired tokens, rate limits and server errors
+// are retried; any other rejection would only repeat itself.
+function isRetryableDeliveryError(err) {
+  if (!err || err.permanent) return false;
+  const status = Number(err.status) || 0;
+  if (!status) return true;
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+function outboxDelayMs(attempts, err) {
+  const backoff = OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  const hinted = (err && err.retryAfterMs) || 0;
+  return Math.min(OUTBOX_MAX_DELAY_MS, Math.max(backoff, hinted));
+}
+
+function readOutboxState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["outbox", "deliveryStats"], (data) => {
+      resolve({
+        outbox: Array.isArray(data.outbox) ? data.outbox : [],
+        deliveryStats: data.deliveryStats && typeof data.deliveryStats === "object" ? data.deliveryStats : {},
+      });
+    });
+  });
+}
+
+// Serialized read-modify-write of `outbox` and `deliveryStats`; resolves
+// with the mutator's return value.
+function updateOutbox(mutator) {
+  outboxWriteChain = outboxWriteChain
+    .catch(() => {})
+    .then(async () => {
+      const state = await readOutboxState();
+      const result = mutator(state);
+      await new Promise((resolve) => chrome.storage.local.set(state, () => resolve()));
+      return result;
+    });
+  return outboxWriteChain;
+}
+
+function recordDeliveryResult(deliveryStats, channel, err) {
+  const stats = deliveryStats[channel] || { delivered: 0 };
+  if (err) {
+    stats.lastError = String(err.message || err);
+    stats.lastErrorAt = Date.now();
+  } else {
+    stats.delivered = (Number(stats.delivered) || 0) + 1;
+    stats.lastDeliveredAt = Date.now();
+  }
+  deliveryStats[channel] = stats;
+}
+
+// Send a fresh batch to every immediate channel and add it to the digest of
+// the others (see the Digests section).
+async function deliverBatch(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return;
+  const schedules = await getDigestSchedules();
+  for (const channel of Object.keys(NOTIFICATION_CHANNELS)) {
+    if (schedules[channel].mode === 'immediate') await sendToChannel(channel, entries);
+    else await addToDigest(channel, entries);
+  }
+}
+
+// Failures are queued per channel so a Telegram outage does not resend the
+// email.  Resolves false when the channel is not set up, so nothing was sent
+// or queued.
+async function sendToChannel(channel, entries, options = {}) {
+  try {
+    const sent = await NOTIFICATION_CHANNELS[channel].send(entries, options);
+    if (sent) await updateOutbox((state) => recordDeliveryResult(state.deliveryStats, channel));
+    return Boolean(sent);
+  } catch (err) {
+    console.warn(`${NOTIFICATION_CHANNELS[channel].label} notification failed`, err);
+    await queueDelivery(channel, entries, err, options);
+    await scheduleOutboxRetry();
+    return true;
+  }
+}
+
+// A "locked" error (see the Secrets section) is not counted as an attempt:
+// the item is parked (pending, no `nextAttemptAt`) until unlockSecrets sends
+// the outbox, instead of waking the worker every minute.
+function queueDelivery(channel, entries, err, { digest = false } = {}) {
+  const now = Date.now();
+  const retryable = isRetryableDeliveryError(err);
+  const locked = Boolean(err && err.locked);
+  const attempts = locked ? 0 : 1;
+  return updateOutbox((state) => {
+    recordDeliveryResult(state.deliveryStats, channel, err);
+    state.outbox.push({
+      id: `${channel}-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      channel,
+      entries,
+      digest,
+      attempts,
+      createdAt: now,
+      nextAttemptAt: retryable && !locked ? now + outboxDelayMs(attempts, err) : null,
+      status: retryable ? 'pending' : 'failed',
+      lastError: String(err && (err.message || err)),
+    });
+    // Drop the oldest items rather than grow storage without bound.
+    if (state.outbox.length > OUTBOX_MAX_ITEMS) {
+      state.outbox.splice(0, state.outbox.length - OUTBOX_MAX_ITEMS);
+    }
+  });
+}
+
+// Point the "outboxRetry" alarm at the earliest pending item, or clear it.
+async function scheduleOutboxRetry() {
+  const { outbox } = await readOutboxState();
+  const due = outbox
+    .filter((item) => item.status === 'pending' && item.nextAttemptAt != null)
+    .map((item) => Number(item.nextAttemptAt) || 0);
+  if (!due.length) {
+    chrome.alarms.clear("outboxRetry");
+    return;
+  }
+  // Chrome does not fire alarms sooner than 30 seconds out.
+  chrome.alarms.create("outboxRetry", { when: Math.max(Date.now() + 30 * 1000, Math.min(...due)) });
+}
+
+// Retry every pending item that is due (all of them, parked ones included,
+// when `force` is set).
+async function processOutbox({ force = false } = {}) {
+  if (outboxInProgress) return;
+  outboxInProgress = true;
+  try {
+    const { outbox } = await readOutboxState();
+    const now = Date.now();
+    const due = outbox.filter(
+      (item) => item.status === 'pending' && (force || (item.nextAttemptAt != null && Number(item.nextAttemptAt) <= now)),
+    );
+    for (const item of due) {
+      const channel = NOTIFICATION_CHANNELS[item.channel];
+      let sent = false;
+      let error = null;
+      try {
+        sent = channel ? await channel.send(item.entries || [], { digest: Boolean(item.digest) }) : false;
+      } catch (err) {
+        error = err;
+      }
+      await updateOutbox((state) => {
+        const index = state.outbox.findIndex((queued) => queued.id === item.id);
+        if (index === -1) return; // cleared while sending
+        if (!error) {
+          // Delivered, or the channel has been switched off since it failed;
+          // either way there is nothing left to send.
+          state.outbox.splice(index, 1);
+          if (sent) recordDeliveryResult(state.deliveryStats, item.channel);
+          return;
+        }
+        const queued = state.outbox[index];
+        if (!error.locked) queued.attempts = (Number(queued.attempts) || 0) + 1;
+        queued.lastError = String(error.message || error);
+        recordDeliveryResult(state.deliveryStats, item.channel, error);
+        if (error.locked) {
+          queued.nextAttemptAt = null;
+        } else if (isRetryableDeliveryError(error) && queued.attempts < OUTBOX_MAX_ATTEMPTS) {
+          queued.nextAttemptAt = Date.now() + outboxDelayMs(queued.attempts, error);
+        } else {
+          queued.status = 'failed';
+          queued.nextAttemptAt = null;
+        }
+      });
+    }
+  } finally {
+    outboxInProgress = false;
+    await scheduleOutboxRetry();
+  }
+}
+
+// Give failed items a fresh set of attempts and send everything now.
+async function retryOutbox() {
+  await updateOutbox((state) => {
+    state.outbox.forEach((item) => {
+      if (item.status !== 'failed') return;
+      item.status = 'pending';
+      item.attempts = 0;
+      item.nextAttemptAt = Date.now();
+    });
+  });
+  await processOutbox({ force: true });
+}
+
+function clearFailedDeliveries() {
+  return updateOutbox((state) => {
+    state.outbox = state.outbox.filter((item) => item.status !== 'failed');
+  });
+}
+
+async function getDeliveryStatus() {
+  const { outbox, deliveryStats } = await readOutboxState();
+  return Object.keys(NOTIFICATION_CHANNELS).map((channel) => {
+    const queued = outbox.filter((item) => item.channel === channel);
+    const pending = queued.filter((item) => item.status === 'pending');
+    const scheduled = pending.filter((item) => item.nextAttemptAt != null);
+    const stats = deliveryStats[channel] || {};
+    return {
+      channel,
+      label: NOTIFICATION_CHANNELS[channel].label,
+      pending: pending.length,
+      failed: queued.length - pending.length,
+      delivered: Number(stats.delivered) || 0,
+      lastDeliveredAt: stats.lastDeliveredAt || null,
+      lastError: stats.lastError || null,
+      lastErrorAt: stats.lastErrorAt || null,
+      nextAttemptAt: scheduled.length ? Math.min(...scheduled.map((item) => Number(item.nextAttemptAt))) : null,
+    };
+  });
+}
+
+// =================== Digests ===================
+// Each channel either sends every batch right away ("immediate", grouped by
+// the batch window) or collects entries in chrome.storage.local
+// (`digestQueue`) until its "digest-<channel>" alarm fires: hourly on the
+// hour, daily at HH:MM or weekly on a given day.  Digests group the tabs by
+// domain.
+
+// Telegram rejects messages over 4096 characters; leave room for markup.
+// Custom Telegram templates are held to the same length.
+const TELEGRAM_DIGEST_MAX_CHARS = 3800;
+
+function normalizeDigestSchedules(value) {
+  const src = value && typeof value === 'object' ? value : {};
+  const schedules = {};
+  Object.keys(NOTIFICATION_CHANNELS).forEach((channel) => {
+    const schedule = src[channel] || {};
+    const weekday = Number(schedule.weekday);
+    schedules[channel] = {
+      mode: DIGEST_MODES.includes(schedule.mode) ? schedule.mode : 'immediate',
+      time: /^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time) ? schedule.time : DEFAULT_DIGEST_TIME,
+      weekday: Number.isInteger(weekday) && weekday >= 0 && weekday <= 6 ? weekday : 1, // 0 = Sunday
+    };
+  });
+  return schedules;
+}
+
+function getDigestSchedules() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get("digestSchedules", (data) => resolve(normalizeDigestSchedules(data.digestSchedules)));
+  });
+}
+
+// Next time a digest is due strictly after `now`, in local time; null for
+// immediate delivery.
+function nextDigestAt(schedule, now = Date.now()) {
+  if (!schedule || schedule.mode === 'immediate') return null;
+  const next = new Date(now);
+  if (schedule.mode === 'hourly') {
+    next.setMinutes(0, 0, 0);
+    next.setHours(next.getHours() + 1);
+    return next.getTime();
+  }
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  next.setHours(hours, minutes, 0, 0);
+  if (schedule.mode === 'weekly') {
+    next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+  }
+  if (next.getTime() <= now) next.setDate(next.getDate() + (schedule.mode === 'weekly' ? 7 : 1));
+  return next.getTime();
+}
+
+function updateDigestQueue(mutator) {
+  digestWriteChain = digestWriteChain
+    .catch(() => {})
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.get("digestQueue", (data) => {
+        const digestQueue = data.digestQueue && typeof data.digestQueue === "object" ? data.digestQueue : {};
+        const result = mutator(digestQueue);
+        chrome.storage.local.set({ digestQueue }, () => resolve(result));
+      });
+    }));
+  return digestWriteChain;
+}
+
+function addToDigest(channel, entries) {
+  return updateDigestQueue((queue) => {
+    const list = (queue[channel] || []).concat(entries);
+    queue[channel] = list.slice(-DIGEST_MAX_ENTRIES);
+  });
+}
+
+// Send everything collected for `channel` as one digest.
+async function flushDigest(channel) {
+  if (!NOTIFICATION_CHANNELS[channel]) return;
+  const entries = await updateDigestQueue((queue) => {
+    const list = queue[channel] || [];
+    delete queue[channel];
+    return list;
+  });
+  if (!entries.length) return;
+  // The recipient, chat id or URL was cleared since the tabs were collected:
+  // keep them (ahead of newer ones) for the next digest.
+  if (!(await sendToChannel(channel, entries, { digest: true }))) {
+    await updateDigestQueue((queue) => {
+      queue[channel] = entries.concat(queue[channel] || []).slice(-DIGEST_MAX_ENTRIES);
+    });
+  }
+}
+
+// Create the digest alarms that are missing (all of them with `reset`, after
+// a schedule change).  A channel switched back to immediate gets whatever it
+// had collected right away.
+async function ensureDigestAlarms({ reset = false } = {}) {
+  const schedules = await getDigestSchedules();
+  for (const channel of Object.keys(NOTIFICATION_CHANNELS)) {
+    const name = `digest-${channel}`;
+    if (schedules[channel].mode === 'immediate') {
+      chrome.alarms.clear(name, () => {});
+      await flushDigest(channel);
+      continue;
+    }
+    const existing = reset ? null : await new Promise((resolve) => chrome.alarms.get(name, resolve));
+    if (!existing) chrome.alarms.create(name, { when: nextDigestAt(schedules[channel]) });
+  }
+}
+
+async function handleDigestAlarm(channel) {
+  await flushDigest(channel);
+  const schedules = await getDigestSchedules();
+  const when = nextDigestAt(schedules[channel]);
+  if (when) chrome.alarms.create(`digest-${channel}`, { when });
+}
+
+// Biggest domain first; entries keep their closing order within a domain.
+function groupEntriesByDomain(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const domain = domainOf(entry.url) || entry.url;
+    if (!groups.has(domain)) groups.set(domain, []);
+    groups.get(domain).push(entry);
+  });
+  return [...groups]
+    .map(([domain, list]) => ({ domain, entries: list }))
+    .sort((a, b) => b.entries.length - a.entries.length || a.domain.localeCompare(b.domain));
+}
+
+function digestEntryTitle(entry) {
+  return entry.title && entry.title.trim() ? entry.title.trim() : entry.url;
+}
+
+function digestSummary(entries) {
+  const groups = groupEntriesByDomain(entries);
+  const since = new Date(Math.min(...entries.map((entry) => entry.ts || Date.now()))).toLocaleString();
+  const tabs = entries.length === 1 ? '1 tab' : `${entries.length} tabs`;
+  const sites = groups.length === 1 ? '1 site' : `${groups.length} sites`;
+  return { groups, since, tabs, sites };
+}
+
+function buildDigestEmail(entries) {
+  const { groups, since, tabs, sites } = digestSummary(entries);
+  const sections = groups.map(({ domain, entries: list }) =>
+    [`${domain} (${list.length})`, ...list.map((entry) => `  - ${digestEntryTitle(entry)}\n    ${entry.url}`)].join('\n'),
+  );
+  const subject = `Closed tabs digest: ${tabs} from ${sites}`;
+  const intro = `${tabs} closed as unread since ${since}, by site:`;
+  return {
+    subject,
+    body: `${intro}\n\n${sections.join('\n\n')}`,
+    html: buildEmailHtml({ heading: subject, intro, groups }),
+  };
+}
+
+// Domains that do not fit keep their heading and count but lose the links.
+function buildDigestTelegramText(entries) {
+  const { groups, since, tabs, sites } = digestSummary(entries);
+  let text = `<b>Closed tabs digest: ${tabs} from ${sites}</b>\nSince ${escapeHtmlLite(since)}`;
+  let omitted = 0;
+  groups.forEach(({ domain, entries: list }) => {
+    const heading = `\n\n<b>${escapeHtmlLite(domain)}</b> (${list.length})`;
+    const links = list
+      .map((entry) => `\n- <a href="${escapeHtmlLite(entry.url)}">${escapeHtmlLite(digestEntryTitle(entry))}</a>`)
+      .join('');
+    if (text.length + heading.length + links.length <= TELEGRAM_DIGEST_MAX_CHARS) {
+      text += heading + links;
+    } else if (text.length + heading.length <= TELEGRAM_DIGEST_MAX_CHARS) {
+      text += heading;
+    } else {
+      omitted += list.length;
+    }
+  });
+  if (omitted) text += `\n\n...and ${omitted} more`;
+  return text;
+}
+
+// Plain-text digest for the webhook's {{text}} placeholder.
+function buildDigestText(entries) {
+  const { groups, tabs, sites } = digestSummary(entries);
+  const lines = [`Closed tabs digest: ${tabs} from ${sites}`];
+  groups.forEach(({ domain, entries: list }) => {
+    lines.push(`${domain} (${list.length})`);
+    list.forEach((entry) => lines.push(`- ${digestEntryTitle(entry)} ${entry.url}`));
+  });
+  return lines.join('\n');
+}
+
+// =================== Message templates ===================
+// Optional per-channel templates replace the built-in email subject, email
+// body and Telegram message.  The language is a small subset of Mustache:
+//   {{name}}                 value from the innermost scope that has it
+//   {{#name}}...{{/name}}    repeated for each item of a list, shown once for
+//                            any other truthy value, dropped when empty
+// Batch scope: count, title, url, domain, closedAt, reason (first tab),
+// digest, since, entries (index, title, url, domain, closedAt, reason) and
+// domains (domain, count, entries).  Unknown names are left as typed.
+
+function sampleTemplateEntries() {
+  const hour = 60 * 60 * 1000;
+  return [
+    { url: 'https://news.example.com/article/42', title: 'Example article', ts: Date.now() - 3 * hour, reason: 'timeout' },
+    { url: 'https://docs.example.org/guide', title: 'Getting started guide', ts: Date.now() - 2 * hour, reason: 'budget' },
+    { url: 'https://news.example.com/article/7', title: 'Another story', ts: Date.now() - hour, reason: 'duplicate' },
+  ];
+}
+
+function templateEntry(entry, index) {
+  return {
+    index: index + 1,
+    title: digestEntryTitle(entry),
+    url: entry.url,
+    domain: domainOf(entry.url) || entry.url,
+    closedAt: new Date(entry.ts || Date.now()).toLocaleString(),
+    reason: entry.reason || 'timeout',
+  };
+}
+
+function messageTemplateContext(entries, { digest = false } = {}) {
+  const list = entries.map(templateEntry);
+  const first = list[0] || {};
+  return {
+    count: list.length,
+    title: first.title,
+    url: first.url,
+    domain: first.domain,
+    closedAt: first.closedAt,
+    reason: first.reason,
+    digest,
+    since: entries.length ? new Date(Math.min(...entries.map((entry) => entry.ts || Date.now()))).toLocaleString() : '',
+    entries: list,
+    domains: groupEntriesByDomain(entries).map((group) => ({
+      domain: group.domain,
+      count: group.entries.length,
+      entries: group.entries.map((entry) => list[entries.indexOf(entry)]),
+    })),
+  };
+}
+
+// `escape` is applied to every substituted value (HTML for Telegram).
+function renderMessageTemplate(template, context, escape = (value) => value) {
+  const lookup = (scopes, name) => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, name)) return scope[name];
+    }
+    return undefined;
+  };
+  const render = (text, scopes) =>
+    text.replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}|{{\s*(\w+)\s*}}/g, (match, section, inner, name) => {
+      if (section) {
+        const value = lookup(scopes, section);
+        if (Array.isArray(value)) return value.map((item) => render(inner, scopes.concat([item]))).join('');
+        return value ? render(inner, scopes.concat([value])) : '';
+      }
+      const value = lookup(scopes, name);
+      return value === undefined ? match : escape(String(value == null ? '' : value));
+    });
+  return render(String(template || ''), [context]);
+}
+
+// Built-in message unless the user set a template for that part.  A custom
+// body is sent as plain text only, exactly as written.
+function buildEmailMessage(entries, { digest = false, subjectTemplate = '', bodyTemplate = '' } = {}) {
+  const message = digest ? buildDigestEmail(entries) : buildBatchEmail(entries);
+  const context = messageTemplateContext(entries, { digest });
+  if (String(subjectTemplate).trim()) message.subject = renderMessageTemplate(subjectTemplate, context);
+  if (String(bodyTemplate).trim()) {
+    message.body = renderMessageTemplate(bodyTemplate, context);
+    message.html = null;
+  }
+  return message;
+}
+
+// A template Telegram would reject (see telegramTemplateError) falls back to
+// the built-in message rather than failing every delivery.
+function buildTelegramText(entries, { digest = false, template = '' } = {}) {
+  if (String(template).trim()) {
+    const error = telegramTemplateError(template);
+    if (!error) return renderTelegramTemplate(template, entries, { digest });
+    console.warn(`Telegram template ignored: ${error}`);
+  }
+  return digest ? buildDigestTelegramText(entries) : buildBatchTelegramText(entries);
+}
+
+// Keep only the first `shown` tabs in the entry lists (and in each domain).
+function limitTemplateContext(context, shown) {
+  if (shown >= context.entries.length) return context;
+  const kept = new Set(context.entries.slice(0, shown));
+  return {
+    ...context,
+    entries: context.entries.slice(0, shown),
+    domains: context.domains
+      .map((group) => ({ ...group, entries: group.entries.filter((entry) => kept.has(entry)) }))
+      .filter((group) => group.entries.length),
+  };
+}
+
+// Tabs that do not fit in one message are left out of the lists and counted
+// in a closing "...and N more" line, as in the built-in digest.
+function renderTelegramTemplate(template, entries, { digest = false } = {}) {
+  const context = messageTemplateContext(entries, { digest });
+  const render = (shown) => {
+    const text = renderMessageTemplate(template, limitTemplateContext(context, shown), escapeHtmlLite);
+    return shown < entries.length ? `${text}\n\n...and ${entries.length - shown} more` : text;
+  };
+  const full = render(entries.length);
+  if (full.length <= TELEGRAM_DIGEST_MAX_CHARS) return full;
+  let low = 0;
+  let high = entries.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (render(mid).length <= TELEGRAM_DIGEST_MAX_CHARS) low = mid;
+    else high = mid - 1;
+  }
+  return render(low);
+}
+
+// Tags Telegram accepts with parse_mode HTML.
+const TELEGRAM_HTML_TAGS = [
+  'b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'a', 'code', 'pre',
+  'span', 'tg-spoiler', 'tg-emoji', 'blockquote',
+];
+
+// First problem Telegram would reject the text for, or null.  Substituted
+// values are escaped, so this only finds the template's own markup.
+function telegramMarkupError(text) {
+  const open = [];
+  const token = /<(\/?)([a-z][\w-]*)(?:\s[^<>]*)?>|&(?:#\d+|#x[\da-f]+|lt|gt|amp|quot);|[<&]/gi;
+  let match;
+  while ((match = token.exec(text))) {
+    const [raw, closing, tag] = match;
+    if (raw === '<') return 'a "<" that is not part of a tag must be written &lt;';
+    if (raw === '&') return 'a "&" that is not part of an entity must be written &amp;';
+    if (!tag) continue;
+    const name = tag.toLowerCase();
+    if (!TELEGRAM_HTML_TAGS.includes(name)) return `<${name}> is not supported by Telegram`;
+    if (!closing) open.push(name);
+    else if (open.pop() !== name) return `</${name}> does not close the tag opened before it`;
+  }
+  return open.length ? `<${open[open.length - 1]}> is never closed` : null;
+}
+
+// Check a Telegram template on the sample tabs, as a batch and as a digest.
+function telegramTemplateError(template) {
+  if (!String(template).trim()) return null;
+  for (const digest of [false, true]) {
+    const context = messageTemplateContext(sampleTemplateEntries(), { digest });
+    const error = telegramMarkupError(renderMessageTemplate(template, context, escapeHtmlLite));
+    if (error) return error;
+    if (renderMessageTemplate(template, limitTemplateContext(context, 0), escapeHtmlLite).length > TELEGRAM_DIGEST_MAX_CHARS) {
+      return `longer than ${TELEGRAM_DIGEST_MAX_CHARS} characters without any tabs`;
+    }
+  }
+  return null;
+}
+
+// Render unsaved templates for the options page preview, using the latest
+// archived tabs (or sample tabs when the archive is empty).
+async function previewMessageTemplates({ emailSubjectTemplate = '', emailBodyTemplate = '', telegramTemplate = '', digest = false } = {}) {
+  const { entries: recent } = await searchArchive({ limit: 3, countTotal: false });
+  const entries = recent.length ? recent.slice().reverse() : sampleTemplateEntries();
+  const email = buildEmailMessage(entries, { digest, subjectTemplate: emailSubjectTemplate, bodyTemplate: emailBodyTemplate });
+  return {
+    sample: !recent.length,
+    email: { subject: email.subject, body: email.body },
+    telegram: {
+      text: buildTelegramText(entries, { digest, template: telegramTemplate }),
+      error: telegramTemplateError(telegramTemplate),
+    },
+  };
+}
+
+// =================== Gmail via chrome.identity.getAuthToken ===================
+
+const GMAIL_SEND_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/messages/send';
 
 function base64UrlEncodeUtf8(str) {
   const bytes = new TextEncoder().encode(str || '');
@@ -1041,15 +4175,140 @@ function escapeHtml(value) {
     .replace(/'/g, '&#39;');
 }
 
-function buildPlainMime({ to, subject, body }) {
-  const lines = [
-    `To: ${to}`,
-    `Subject: ${subject || ''}`,
-    'Content-Type: text/plain; charset=utf-8',
+// ---- MIME ----
+// Messages are built as multipart/alternative (plain text first, HTML
+// second), wrapped in multipart/mixed when files are attached.  Every part
+// is base64 so UTF-8 titles survive any relay; header values that are not
+// plain ASCII use RFC 2047 encoded-words.
+
+// Header values must not carry line breaks (header injection).
+function mimeHeaderValue(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Encoded-words are limited to 75 characters, so the value is split on
+// character boundaries (45 bytes of UTF-8 each) and folded onto new lines.
+function encodeMimeHeader(value) {
+  const text = mimeHeaderValue(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const encoder = new TextEncoder();
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (chunk && encoder.encode(chunk + char).length > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${base64EncodeUtf8(word)}?=`).join('\r\n ');
+}
+
+// RFC 2231 for non-ASCII file names.
+function mimeFileNameParam(name) {
+  const text = mimeHeaderValue(name).replace(/["\\]/g, '_');
+  if (/^[\x20-\x7e]*$/.test(text)) return `filename="${text}"`;
+  return `filename*=UTF-8''${encodeURIComponent(text)}`;
+}
+
+function mimePart(contentType, content, extraHeaders = []) {
+  return [
+    `Content-Type: ${contentType}`,
+    'Content-Transfer-Encoding: base64',
+    ...extraHeaders,
     '',
-    body || ''
-  ];
-  return lines.join('\r\n');
+    base64EncodeUtf8(content).replace(/.{76}(?=.)/g, '$&\r\n')
+  ].join('\r\n');
+}
+
+function mimeMultipart(subtype, parts) {
+  const boundary = `tmc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.map((part) => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// `attachments`: [{ name, mime, content }] with text content.
+function buildMime({ to, subject, text, html, attachments = [] }) {
+  const plain = mimePart('text/plain; charset=utf-8', String(text || '').replace(/\r?\n/g, '\r\n'));
+  let body = html ? mimeMultipart('alternative', [plain, mimePart('text/html; charset=utf-8', html)]) : plain;
+  if (attachments.length) {
+    body = mimeMultipart('mixed', [
+      body,
+      ...attachments.map((file) =>
+        mimePart(`${file.mime}; charset=utf-8`, file.content, [`Content-Disposition: attachment; ${mimeFileNameParam(file.name)}`])
+      )
+    ]);
+  }
+  return [`To: ${mimeHeaderValue(to)}`, `Subject: ${encodeMimeHeader(subject)}`, 'MIME-Version: 1.0', body].join('\r\n');
+}
+
+// Styled HTML part for batch and digest emails: one table of tabs per group
+// (a single untitled group for a batch).  Inline styles only, since mail
+// clients drop <style> blocks.
+function buildEmailHtml({ heading, intro, groups }) {
+  const rows = (list) =>
+    list
+      .map((entry) => {
+        const domain = escapeHtml(domainOf(entry.url) || entry.url);
+        const when = escapeHtml(new Date(entry.ts || Date.now()).toLocaleString());
+        return `<tr><td style="padding:6px 0;border-bottom:1px solid #e2e6eb;">` +
+          `<a href="${escapeHtml(entry.url)}" style="color:#1f6feb;font-weight:600;text-decoration:none;">${escapeHtml(digestEntryTitle(entry))}</a>` +
+          `<div style="color:#6e7781;font-size:12px;">${domain} &middot; closed ${when}</div></td></tr>`;
+      })
+      .join('');
+  const sections = groups
+    .map((group) => {
+      const title = group.domain
+        ? `<h3 style="font-size:14px;margin:16px 0 4px;">${escapeHtml(group.domain)} (${group.entries.length})</h3>`
+        : '';
+      return `${title}<table role="presentation" style="width:100%;border-collapse:collapse;">${rows(group.entries)}</table>`;
+    })
+    .join('');
+  return '<!doctype html><html><head><meta charset="utf-8"></head>' +
+    '<body style="margin:0;padding:16px;font-family:Segoe UI,Tahoma,Arial,sans-serif;font-size:14px;color:#1f2328;">' +
+    `<h2 style="font-size:18px;margin:0 0 4px;">${escapeHtml(heading)}</h2>` +
+    `<p style="margin:0 0 8px;color:#4b5563;">${escapeHtml(intro)}</p>${sections}` +
+    '<p style="margin-top:16px;font-size:11px;color:#6e7781;">Sent by Tab Monitor Closer.</p></body></html>';
+}
+
+function buildBatchEmail(entries) {
+  const lines = entries.map((entry, index) => `${index + 1}. ${digestEntryTitle(entry)}\n${entry.url}`);
+  const subject =
+    entries.length > 1
+      ? `Closed as unread (${entries.length} tabs)`
+      : `Closed as unread: ${entries[0].title || entries[0].url}`;
+  const bodyPrefix =
+    entries.length > 1
+      ? "The following tabs were closed as unread:"
+      : "The following tab was closed as unread:";
+  return {
+    subject,
+    body: `${bodyPrefix}\n\n${lines.join("\n\n")}`,
+    html: buildEmailHtml({ heading: subject, intro: bodyPrefix, groups: [{ domain: null, entries }] })
+  };
+}
+
+// The closed-tab log for the tabs in one email, in the format picked in
+// `emailAttachment`.  Archive records are used where they still exist so
+// the CSV has reasons and scores.
+async function buildEmailAttachments(entries) {
+  const { emailAttachment } = await chrome.storage.sync.get('emailAttachment');
+  if (!EMAIL_ATTACHMENT_FORMATS.includes(emailAttachment) || emailAttachment === 'none') return [];
+  const records = await Promise.all(
+    entries.map((entry) => (Number.isInteger(entry.id) ? archiveGet(entry.id).catch(() => null) : null))
+  );
+  const format = LOG_FORMATS[emailAttachment];
+  return [{
+    name: `closed-tabs-${dayKey(Date.now())}.${format.extension}`,
+    mime: format.mime,
+    content: format.build(entries.map((entry, i) => records[i] || entry))
+  }];
 }
 
 function getAuthTokenSilently() {
@@ -1086,9 +4345,10 @@ async function getGmailToken({ allowInteractive = false } = {}) {
   return getAuthTokenInteractive();
 }
 
-async function sendGmailMessage({ to, subject, body }, { allowInteractive = false } = {}) {
+// `body` is the plain-text part; `html` and `attachments` are optional.
+async function sendGmailMessage({ to, subject, body, html = null, attachments = [] }, { allowInteractive = false } = {}) {
   if (!to) throw new Error('Missing recipient');
-  const mime = buildPlainMime({ to, subject, body });
+  const mime = buildMime({ to, subject, text: body, html, attachments });
   const raw = base64UrlEncodeUtf8(mime);
 
   let token = await getGmailToken({ allowInteractive });
@@ -1146,8 +4406,97 @@ async function getGmailStatus() {
 }
 
 
+// =================== Webhook ===================
+// Posts each batch of closed tabs to a configurable URL (Slack, Discord and
+// Mattermost incoming webhooks, or any custom endpoint).  The body is a JSON
+// template; see renderWebhookBody for the placeholders.
+
+// Slack and Mattermost read `text`; Discord needs `content` instead.
+const DEFAULT_WEBHOOK_TEMPLATE = '{"text": "{{text}}"}';
+
+// "Name: value" per line; blank lines are skipped.
+function parseWebhookHeaders(text) {
+  const headers = {};
+  String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const idx = line.indexOf(':');
+      const name = idx > 0 ? line.slice(0, idx).trim() : '';
+      if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) throw deliveryConfigError(`Invalid header line: ${line}`);
+      headers[name] = line.slice(idx + 1).trim();
+    });
+  return headers;
+}
+
+// Fill the JSON body template for a batch.  `{{count}}`, `{{entries}}`
+// (array of { title, url, domain, closedAt }) and `{{domains}}` (array of
+// { domain, count }) are JSON values and go outside quotes; `{{text}}`
+// (plain-text summary, grouped by domain for a digest), `{{title}}` and
+// `{{url}}` (first entry) are escaped for use inside JSON strings.  Throws
+// when the result is not valid JSON.
+function renderWebhookBody(template, entries, { digest = false } = {}) {
+  const list = entries.map((entry) => ({
+    title: entry.title || entry.url,
+    url: entry.url,
+    domain: domainOf(entry.url),
+    closedAt: new Date(entry.ts || Date.now()).toISOString(),
+  }));
+  const header = list.length === 1 ? 'Closed as unread:' : `Closed as unread (${list.length} tabs):`;
+  const text = digest && entries.length
+    ? buildDigestText(entries)
+    : [header, ...list.map((e) => `- ${e.title} ${e.url}`)].join('\n');
+  const inString = (value) => JSON.stringify(String(value)).slice(1, -1);
+  const values = {
+    count: String(list.length),
+    entries: JSON.stringify(list),
+    domains: JSON.stringify(groupEntriesByDomain(entries).map((group) => ({ domain: group.domain, count: group.entries.length }))),
+    text: inString(text),
+    title: inString(list[0] ? list[0].title : ''),
+    url: inString(list[0] ? list[0].url : ''),
+  };
+  const body = String(template).replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match,
+  );
+  try {
+    JSON.parse(body);
+  } catch (err) {
+    throw deliveryConfigError(`Webhook body template is not valid JSON: ${err.message}`);
+  }
+  return body;
+}
+
+// Send `entries` to the configured webhook.  Resolves false when no URL is
+// set, unless `required` (the test button) asks for an error instead.
+async function sendWebhook(entries, { required = false, digest = false } = {}) {
+  const cfg = await chrome.storage.sync.get(['webhookMethod', 'webhookBodyTemplate']);
+  const url = (await getSecret('webhookUrl')).trim();
+  if (!url) {
+    if (required) throw new Error('Webhook URL is not set');
+    return false;
+  }
+  if (!/^https?:\/\//i.test(url)) throw deliveryConfigError('Webhook URL must start with http:// or https://');
+  const method = WEBHOOK_METHODS.includes(cfg.webhookMethod) ? cfg.webhookMethod : 'POST';
+  const template = String(cfg.webhookBodyTemplate || '').trim() || DEFAULT_WEBHOOK_TEMPLATE;
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...parseWebhookHeaders(await getSecret('webhookHeaders')) },
+    body: renderWebhookBody(template, entries, { digest }),
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    const err = new Error(`Webhook failed: HTTP ${res.status}${detail ? ` ${detail.slice(0, 200)}` : ''}`);
+    err.status = res.status;
+    err.retryAfterMs = retryAfterMs(res.headers.get('Retry-After'));
+    throw err;
+  }
+  return true;
+}
+
 // =================== Telegram Bot API ===================
-// =================== Telegram Bot API ===================
+// Default Bot API server.  `tgApiOrigin` can point at a self-hosted Bot API
+// server or a local stand-in for testing.
 const TELEGRAM_API_ORIGIN = 'https://api.telegram.org';
 
 async function safeJson(response) {
@@ -1167,26 +4516,186 @@ function escapeHtmlLite(s) {
     .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-async function sendTelegramMessage({ text, disablePreview = false } = {}) {
-  const { tgToken, tgChatId } = await chrome.storage.sync.get([ 'tgToken', 'tgChatId' ]);
-  if (!tgToken || !tgChatId) return; // not configured, do nothing
-  if (!text) return;
+function normalizeTelegramApiOrigin(value) {
+  const origin = String(value || '').trim().replace(/\/+$/, '');
+  if (!origin) return TELEGRAM_API_ORIGIN;
+  let url = null;
+  try {
+    if (/^https?:\/\/[^/?#\s]+(\/[^?#\s]*)?$/i.test(origin)) url = new URL(origin);
+  } catch (e) {
+    url = null;
+  }
+  // Plain http would expose the token, except to a stand-in on this machine.
+  const local = url && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (!url || !(url.protocol === 'https:' || (url.protocol === 'http:' && local))) {
+    throw deliveryConfigError('Telegram Bot API server must be an https:// URL (http:// only for localhost)');
+  }
+  return origin;
+}
 
-  const url = `${TELEGRAM_API_ORIGIN}/bot${tgToken}/sendMessage`;
+// Call a Bot API method and resolve with its `result`.  Errors carry the
+// HTTP status and Telegram's retry_after hint for the outbox.
+async function callTelegramApi(method, payload) {
+  const { tgApiOrigin } = await chrome.storage.sync.get('tgApiOrigin');
+  const tgToken = await getSecret('tgToken');
+  const url = `${normalizeTelegramApiOrigin(tgApiOrigin)}/bot${tgToken}/${method}`;
   const res = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: tgChatId,
-      text,
-      parse_mode: 'HTML',
-      disable_web_page_preview: Boolean(disablePreview)
-    })
+    body: JSON.stringify(payload || {})
   });
   const data = await safeJson(res);
   if (!res.ok || (data && data.ok === false)) {
     const msg = (data && (data.description || data.error || data.message)) || `HTTP ${res.status}`;
-    throw new Error(`Telegram send failed: ${msg}`);
+    const err = new Error(`Telegram ${method} failed: ${msg}`);
+    err.status = res.status;
+    const retryAfter = data && data.parameters && Number(data.parameters.retry_after);
+    if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    throw err;
+  }
+  return data ? data.result : null;
+}
+
+async function sendTelegramMessage({ text, disablePreview = false, replyMarkup = null } = {}) {
+  const { tgChatId } = await chrome.storage.sync.get('tgChatId');
+  if (!tgChatId || !(await hasSecret('tgToken'))) return false; // not configured, do nothing
+  if (!text) return false;
+
+  const payload = {
+    chat_id: tgChatId,
+    text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: Boolean(disablePreview)
+  };
+  if (replyMarkup) payload.reply_markup = replyMarkup;
+  await callTelegramApi('sendMessage', payload);
+  return true;
+}
+
+// ---- Reopen buttons ----
+// With `tgReopenButtons` on, batch and digest messages carry an inline
+// keyboard: "r:<archive id>" per tab and "ra:<group key>" for Reopen all.
+// Callback data is limited to 64 bytes, so the ids behind Reopen all are
+// kept in chrome.storage.local (`tgReopenGroups`).  The "telegramPoll" alarm
+// fetches button presses with getUpdates, restores the entries and answers
+// the callback query.
+
+function updateReopenGroups(mutator) {
+  reopenGroupsWriteChain = reopenGroupsWriteChain
+    .catch(() => {})
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.get("tgReopenGroups", (data) => {
+        const groups = data.tgReopenGroups && typeof data.tgReopenGroups === "object" ? data.tgReopenGroups : {};
+        const result = mutator(groups);
+        chrome.storage.local.set({ tgReopenGroups: groups }, () => resolve(result));
+      });
+    }));
+  return reopenGroupsWriteChain;
+}
+
+function saveReopenGroup(ids) {
+  const key = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return updateReopenGroups((groups) => {
+    groups[key] = { ids, createdAt: Date.now() };
+    const keys = Object.keys(groups).sort((a, b) => groups[a].createdAt - groups[b].createdAt);
+    keys.slice(0, Math.max(0, keys.length - TELEGRAM_MAX_REOPEN_GROUPS)).forEach((old) => delete groups[old]);
+    return key;
+  });
+}
+
+async function buildReopenKeyboard(entries) {
+  const { tgReopenButtons } = await chrome.storage.sync.get('tgReopenButtons');
+  if (!tgReopenButtons) return null;
+  const archived = entries.filter((entry) => Number.isInteger(entry.id));
+  if (!archived.length) return null;
+  const rows = [];
+  if (archived.length <= TELEGRAM_MAX_REOPEN_BUTTONS) {
+    archived.forEach((entry) => {
+      const title = entry.title && entry.title.trim() ? entry.title.trim() : entry.url;
+      const label = title.length > 40 ? `${title.slice(0, 39)}…` : title;
+      rows.push([{ text: `Reopen: ${label}`, callback_data: `r:${entry.id}` }]);
+    });
+  }
+  if (archived.length > 1) {
+    const key = await saveReopenGroup(archived.map((entry) => entry.id));
+    rows.push([{ text: `Reopen all (${archived.length})`, callback_data: `ra:${key}` }]);
+  }
+  return { inline_keyboard: rows };
+}
+
+function ensureTelegramPolling() {
+  chrome.storage.sync.get(["tgChatId", "tgReopenButtons"], async (cfg) => {
+    if (cfg.tgReopenButtons && cfg.tgChatId && (await hasSecret("tgToken"))) {
+      chrome.alarms.create("telegramPoll", { periodInMinutes: TELEGRAM_POLL_MINUTES });
+    } else {
+      chrome.alarms.clear("telegramPoll", () => {});
+    }
+  });
+}
+
+async function pollTelegramUpdates() {
+  if (telegramPollInProgress) return;
+  telegramPollInProgress = true;
+  try {
+    const { tgChatId } = await chrome.storage.sync.get('tgChatId');
+    const status = await getSecretStatus();
+    if (!tgChatId || !status.secrets.tgToken || status.locked) return;
+    const { tgUpdateOffset } = await new Promise((resolve) => chrome.storage.local.get("tgUpdateOffset", resolve));
+    const updates = await callTelegramApi('getUpdates', {
+      offset: Number(tgUpdateOffset) || 0,
+      timeout: 0,
+      allowed_updates: ['callback_query']
+    });
+    for (const update of updates || []) {
+      // Confirm before acting so a crash never replays a restore.
+      await new Promise((resolve) => chrome.storage.local.set({ tgUpdateOffset: update.update_id + 1 }, resolve));
+      if (update.callback_query) await handleTelegramCallback(update.callback_query, tgChatId);
+    }
+  } catch (err) {
+    console.warn('Telegram polling failed', err);
+  } finally {
+    telegramPollInProgress = false;
+  }
+}
+
+// Only presses in the configured chat (numeric id or @channel) count.
+function isConfiguredTelegramChat(chat, chatId) {
+  if (!chat) return false;
+  const wanted = String(chatId).trim().toLowerCase();
+  return String(chat.id) === wanted || (chat.username != null && `@${chat.username}`.toLowerCase() === wanted);
+}
+
+async function handleTelegramCallback(query, chatId) {
+  let text;
+  try {
+    text = isConfiguredTelegramChat(query.message && query.message.chat, chatId)
+      ? await reopenFromTelegram(String(query.data || ''))
+      : 'This chat is not linked to Tab Monitor Closer.';
+  } catch (err) {
+    text = `Could not reopen: ${err.message || err}`;
+  }
+  try {
+    await callTelegramApi('answerCallbackQuery', { callback_query_id: query.id, text: text.slice(0, 200) });
+  } catch (err) {
+    console.warn('Telegram answerCallbackQuery failed', err);
   }
 }
 
+async function reopenFromTelegram(data) {
+  const [action, arg] = data.split(':');
+  if (action === 'r') {
+    const entry = await archiveGet(Number(arg));
+    if (!entry) return 'Already reopened or no longer in history.';
+    if (!(await restoreFromHistory(entry))) return 'Could not open a tab for it.';
+    await archiveDelete(entry.id);
+    return `Reopened: ${entry.title || entry.url}`;
+  }
+  if (action === 'ra') {
+    const group = await updateReopenGroups((groups) => groups[arg]);
+    if (!group) return 'This button has expired.';
+    const { restored } = await restoreEntries({ ids: group.ids });
+    if (!restored) return 'Already reopened or no longer in history.';
+    return restored === 1 ? 'Reopened 1 tab.' : `Reopened ${restored} tabs.`;
+  }
+  return 'Unknown button.';
+}
@@ -0,0 +1,1595 @@
+// Options page script for Tab Monitor Closer.
+//
+// Configure thresholds, rules, Gmail/Telegram notifications and log export,
+// and search or restore the closed-tab history.  Quick actions for the
+// current tab live in the popup (popup.js).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const byId = (id) => document.getElementById(id);
+  const statusEl = byId("status");
+  const historyEl = byId("history");
+
+  const thresholdEl = byId("thresholdHHMM");
+  const batchWindowEl = byId("batchWindowMinutes");
+  const warnAtEl = byId("warnAtPercent");
+  const discardAtEl = byId("discardAtPercent");
+  const chkPauseWhenAway = byId("chkPauseWhenAway");
+  const wakeCloseLimitEl = byId("wakeCloseLimit");
+  const tabBudgetEl = byId("tabBudget");
+  const tabBudgetScopeEl = byId("tabBudgetScope");
+  const engagementCutoffEl = byId("engagementCutoff");
+  const foregroundTargetEl = byId("foregroundTargetSeconds");
+  const engagementWeightEls = document.querySelectorAll("input.engagement-weight");
+  const saveBtn = byId("save");
+  const runNowBtn = byId("runNow");
+  const previewBtn = byId("previewNow");
+  const previewEl = byId("preview");
+  const btnOpenStats = byId("btnOpenStats");
+  const shortcutsEl = byId("shortcuts");
+  const btnEditShortcuts = byId("btnEditShortcuts");
+  const clearHistoryBtn = byId("clearHistory");
+  const historyQueryEl = byId("historyQuery");
+  const historyFromEl = byId("historyFrom");
+  const historyToEl = byId("historyTo");
+  const historyDomainEl = byId("historyDomain");
+  const historyReasonEl = byId("historyReason");
+  const historyPrevBtn = byId("historyPrev");
+  const historyNextBtn = byId("historyNext");
+  const historyPageEl = byId("historyPage");
+  const historyRetentionEl = byId("historyRetentionDays");
+  const historySelectAllEl = byId("historySelectAll");
+  const chkRestoreNewWindow = byId("chkRestoreNewWindow");
+  const btnRestoreSelected = byId("btnRestoreSelected");
+
+  const duplicateModeEl = byId("duplicateMode");
+  const duplicateHostRulesEl = byId("duplicateHostRules");
+  const btnCloseDuplicates = byId("btnCloseDuplicates");
+  const duplicateStatusEl = byId("duplicateStatus");
+
+  const siteRulesEl = byId("siteRules");
+  const rulePatternEl = byId("rulePattern");
+  const ruleMatchEl = byId("ruleMatch");
+  const ruleActionEl = byId("ruleAction");
+  const ruleMinutesEl = byId("ruleMinutes");
+  const btnAddRule = byId("btnAddRule");
+
+  const notifyEmailEl = byId("notifyEmail");
+  const emailAttachmentEl = byId("emailAttachment");
+  const gmailStatusEl = byId("gmailStatus");
+  const btnGmailConnect = byId("btnGmailConnect");
+  const btnGmailSignOut = byId("btnGmailSignOut");
+  const btnGmailTest = byId("btnGmailTest");
+
+  const tgTokenEl = byId("tgToken");
+  const tgChatIdEl = byId("tgChatId");
+  const chkTgReopenButtons = byId("chkTgReopenButtons");
+  const emailSubjectTemplateEl = byId("emailSubjectTemplate");
+  const emailBodyTemplateEl = byId("emailBodyTemplate");
+  const telegramTemplateEl = byId("telegramTemplate");
+  const chkTemplatePreviewDigest = byId("chkTemplatePreviewDigest");
+  const emailPreviewSubjectEl = byId("emailPreviewSubject");
+  const emailPreviewBodyEl = byId("emailPreviewBody");
+  const telegramPreviewEl = byId("telegramPreview");
+  const templatePreviewNoteEl = byId("templatePreviewNote");
+  const tgApiOriginEl = byId("tgApiOrigin");
+  const btnTgTest = byId("btnTgTest");
+
+  const webhookUrlEl = byId("webhookUrl");
+  const webhookMethodEl = byId("webhookMethod");
+  const webhookPresetEl = byId("webhookPreset");
+  const webhookHeadersEl = byId("webhookHeaders");
+  const webhookBodyTemplateEl = byId("webhookBodyTemplate");
+  const btnWebhookTest = byId("btnWebhookTest");
+
+  const secretsStatusEl = byId("secretsStatus");
+  const secretsPassphraseEl = byId("secretsPassphrase");
+  const secretsNewPassphraseEl = byId("secretsNewPassphrase");
+  const btnUnlockSecrets = byId("btnUnlockSecrets");
+  const btnLockSecrets = byId("btnLockSecrets");
+  const btnSetSecretsPassphrase = byId("btnSetSecretsPassphrase");
+  const btnRemoveSecretsPassphrase = byId("btnRemoveSecretsPassphrase");
+
+  const logFileNameEl = byId("logFileName");
+  const logFormatEl = byId("logFormat");
+  const logFilePathDisplay = byId("logFilePathDisplay");
+  const logFileStatus = byId("logFileStatus");
+  const btnChooseLogFile = byId("btnChooseLogFile");
+  const btnResetLogFile = byId("btnResetLogFile");
+  const btnExportHtml = byId("btnExportHtml");
+  const permIndicator = byId("permIndicator");
+  const btnRequestDownloads = byId("btnRequestDownloads");
+  const chkSaveAsEveryTime = byId("chkSaveAsEveryTime");
+  const chkExportOnClose = byId("chkExportOnClose");
+
+  const chkExportSecrets = byId("chkExportSecrets");
+  const btnExportSettings = byId("btnExportSettings");
+  const settingsImportTextEl = byId("settingsImportText");
+  const settingsImportFileEl = byId("settingsImportFile");
+  const btnLoadSettingsFile = byId("btnLoadSettingsFile");
+  const btnPreviewImport = byId("btnPreviewImport");
+  const btnApplyImport = byId("btnApplyImport");
+  const settingsImportDiffEl = byId("settingsImportDiff");
+
+  const sendMessage = (message) =>
+    new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (resp) => {
+        if (chrome.runtime.lastError) {
+          resolve({ ok: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(resp || { ok: false, error: "No response" });
+        }
+      });
+    });
+
+  const flashStatus = (text, timeout = 2000) => {
+    if (!statusEl) return;
+    statusEl.textContent = text || "";
+    if (timeout > 0) {
+      setTimeout(() => {
+        if (statusEl.textContent === text) statusEl.textContent = "";
+      }, timeout);
+    }
+  };
+
+  const escapeHtml = (str) =>
+    String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+
+  const parseThreshold = (value) => {
+    if (!value) return null;
+    const match = /^(\d{1,3}):([0-5]\d)$/.exec(value.trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+    return { hours, minutes };
+  };
+
+  // Empty means the stage is off (0); otherwise a whole percentage below 100.
+  const parseStagePercent = (value) => {
+    const raw = (value || "").trim();
+    if (!raw) return 0;
+    if (!/^\d{1,2}$/.test(raw)) return null;
+    return Number(raw);
+  };
+
+  // Defaults mirror DEFAULT_ENGAGEMENT_MODEL in background.js.
+  const ENGAGEMENT_DEFAULTS = {
+    cutoff: 20,
+    foregroundTargetSeconds: 60,
+    weights: { foreground: 30, scroll: 30, selection: 15, typing: 15, media: 10 }
+  };
+
+  // Read the engagement inputs; returns null if any value is out of range.
+  const readEngagementModel = () => {
+    const parse = (el, fallback, max) => {
+      const raw = (el && el.value || "").trim();
+      if (!raw) return fallback;
+      if (!/^\d+$/.test(raw) || Number(raw) > max) return null;
+      return Number(raw);
+    };
+    const model = {
+      cutoff: parse(engagementCutoffEl, ENGAGEMENT_DEFAULTS.cutoff, 100),
+      foregroundTargetSeconds: parse(foregroundTargetEl, ENGAGEMENT_DEFAULTS.foregroundTargetSeconds, 3600),
+      weights: {}
+    };
+    let valid = model.cutoff != null && model.foregroundTargetSeconds != null && model.foregroundTargetSeconds > 0;
+    engagementWeightEls.forEach((el) => {
+      const key = el.getAttribute("data-key");
+      const weight = parse(el, ENGAGEMENT_DEFAULTS.weights[key], 100);
+      if (weight == null) valid = false;
+      model.weights[key] = weight;
+    });
+    return valid ? model : null;
+  };
+
+  const populateInitialFields = () => {
+    chrome.storage.sync.get(
+      [
+        "thresholdHours",
+        "thresholdMinutes",
+        "batchWindowMinutes",
+        "warnAtPercent",
+        "discardAtPercent",
+        "pauseWhenAway",
+        "wakeCloseLimit",
+        "engagementModel",
+        "tabBudget",
+        "tabBudgetScope",
+        "duplicateMode",
+        "duplicateHostRules",
+        "historyRetentionDays",
+        "notifyEmail",
+        "emailAttachment",
+        "tgChatId",
+        "tgReopenButtons",
+        "tgApiOrigin",
+        "emailSubjectTemplate",
+        "emailBodyTemplate",
+        "telegramTemplate",
+        "webhookMethod",
+        "webhookBodyTemplate",
+        "digestSchedules",
+        "logFileName",
+        "logFormat",
+        "logSaveAsEveryTime",
+        "logExportOnClose"
+      ],
+      (cfg) => {
+        const hours = Number.isFinite(Number(cfg.thresholdHours))
+          ? Number(cfg.thresholdHours)
+          : 24;
+        const minutes = Number.isFinite(Number(cfg.thresholdMinutes))
+          ? Math.max(0, Number(cfg.thresholdMinutes))
+          : 0;
+        if (thresholdEl) {
+          const hh = String(hours);
+          const mm = String(minutes).padStart(2, "0");
+          thresholdEl.value = `${hh}:${mm}`;
+        }
+        if (batchWindowEl) {
+          const batchMin = Number.isFinite(Number(cfg.batchWindowMinutes))
+            ? Math.max(1, Number(cfg.batchWindowMinutes))
+            : 1;
+          batchWindowEl.value = String(batchMin);
+        }
+        if (warnAtEl) {
+          warnAtEl.value = Number(cfg.warnAtPercent) > 0 ? String(cfg.warnAtPercent) : "";
+        }
+        if (discardAtEl) {
+          discardAtEl.value = Number(cfg.discardAtPercent) > 0 ? String(cfg.discardAtPercent) : "";
+        }
+        if (chkPauseWhenAway) {
+          chkPauseWhenAway.checked = cfg.pauseWhenAway !== false;
+        }
+        if (wakeCloseLimitEl) {
+          wakeCloseLimitEl.value = cfg.wakeCloseLimit != null ? String(cfg.wakeCloseLimit) : "5";
+        }
+        if (tabBudgetEl) {
+          tabBudgetEl.value = Number(cfg.tabBudget) > 0 ? String(cfg.tabBudget) : "";
+        }
+        if (tabBudgetScopeEl) {
+          tabBudgetScopeEl.value = cfg.tabBudgetScope === "browser" ? "browser" : "window";
+        }
+        if (duplicateModeEl) {
+          duplicateModeEl.value = cfg.duplicateMode === "ask" || cfg.duplicateMode === "auto"
+            ? cfg.duplicateMode
+            : "off";
+        }
+        if (duplicateHostRulesEl) {
+          duplicateHostRulesEl.value = cfg.duplicateHostRules ? String(cfg.duplicateHostRules) : "";
+        }
+        const model = cfg.engagementModel || {};
+        const modelWeights = model.weights || {};
+        if (engagementCutoffEl) {
+          engagementCutoffEl.value = String(model.cutoff != null ? model.cutoff : ENGAGEMENT_DEFAULTS.cutoff);
+        }
+        if (foregroundTargetEl) {
+          foregroundTargetEl.value = String(model.foregroundTargetSeconds != null
+            ? model.foregroundTargetSeconds
+            : ENGAGEMENT_DEFAULTS.foregroundTargetSeconds);
+        }
+        engagementWeightEls.forEach((el) => {
+          const key = el.getAttribute("data-key");
+          el.value = String(modelWeights[key] != null ? modelWeights[key] : ENGAGEMENT_DEFAULTS.weights[key]);
+        });
+
+        if (notifyEmailEl) {
+          notifyEmailEl.value = cfg.notifyEmail ? String(cfg.notifyEmail) : "";
+        }
+        if (emailAttachmentEl) {
+          emailAttachmentEl.value = ["html", "csv"].includes(cfg.emailAttachment) ? cfg.emailAttachment : "none";
+        }
+
+        if (tgChatIdEl) tgChatIdEl.value = cfg.tgChatId ? String(cfg.tgChatId) : "";
+        if (chkTgReopenButtons) chkTgReopenButtons.checked = Boolean(cfg.tgReopenButtons);
+        if (tgApiOriginEl) tgApiOriginEl.value = cfg.tgApiOrigin ? String(cfg.tgApiOrigin) : "";
+        if (emailSubjectTemplateEl) emailSubjectTemplateEl.value = cfg.emailSubjectTemplate ? String(cfg.emailSubjectTemplate) : "";
+        if (emailBodyTemplateEl) emailBodyTemplateEl.value = cfg.emailBodyTemplate ? String(cfg.emailBodyTemplate) : "";
+        if (telegramTemplateEl) telegramTemplateEl.value = cfg.telegramTemplate ? String(cfg.telegramTemplate) : "";
+        refreshTemplatePreview();
+        if (webhookMethodEl) webhookMethodEl.value = cfg.webhookMethod === "PUT" ? "PUT" : "POST";
+        if (webhookBodyTemplateEl) webhookBodyTemplateEl.value = cfg.webhookBodyTemplate ? String(cfg.webhookBodyTemplate) : "";
+        renderDigestSchedules(cfg.digestSchedules);
+
+        if (logFileNameEl) {
+          const fileName = cfg.logFileName ? String(cfg.logFileName) : "";
+          logFileNameEl.value = fileName;
+          if (logFilePathDisplay) {
+            logFilePathDisplay.textContent = fileName || "File not set.";
+          }
+        } else if (logFilePathDisplay) {
+          logFilePathDisplay.textContent = cfg.logFileName ? String(cfg.logFileName) : "File not set.";
+        }
+        if (logFormatEl) {
+          logFormatEl.value = cfg.logFormat || "html";
+          // Unknown values leave the select empty.
+          if (!logFormatEl.value) logFormatEl.value = "html";
+          updateLogNamePlaceholder();
+        }
+        if (chkSaveAsEveryTime) {
+          chkSaveAsEveryTime.checked = Boolean(cfg.logSaveAsEveryTime);
+        }
+        if (chkExportOnClose) {
+          const v = cfg.logExportOnClose;
+          chkExportOnClose.checked = v == null ? true : Boolean(v);
+        }
+        if (historyRetentionEl) {
+          const days = Number(cfg.historyRetentionDays);
+          historyRetentionEl.value = cfg.historyRetentionDays != null && Number.isFinite(days) ? String(days) : "90";
+        }
+      }
+    );
+  };
+
+  // Close reasons other than the regular timeout are named in the history.
+  const HISTORY_REASON_LABELS = {
+    budget: "over tab budget",
+    duplicate: "duplicate",
+    scheduled: "scheduled close"
+  };
+
+  const HISTORY_PAGE_SIZE = 20;
+  let historyOffset = 0;
+  // Entry ids stay valid across restores and pages, so the selection does too.
+  const selectedHistoryIds = new Set();
+
+  const updateRestoreSelected = () => {
+    if (btnRestoreSelected) {
+      btnRestoreSelected.disabled = selectedHistoryIds.size === 0;
+      btnRestoreSelected.textContent = selectedHistoryIds.size
+        ? `Restore selected (${selectedHistoryIds.size})`
+        : "Restore selected";
+    }
+    if (historySelectAllEl && historyEl) {
+      const boxes = Array.from(historyEl.querySelectorAll("input.history-select"));
+      historySelectAllEl.checked = boxes.length > 0 && boxes.every((box) => box.checked);
+    }
+  };
+
+  // Bulk restore through the background; `target` is `{ ids }` or `{ batchId }`.
+  const restoreMany = async (target) => {
+    const newWindow = Boolean(chkRestoreNewWindow && chkRestoreNewWindow.checked);
+    const res = await sendMessage({ type: "restoreEntries", ...target, newWindow });
+    if (res && res.ok) {
+      flashStatus(`Restored ${res.restored} tab${res.restored === 1 ? "" : "s"}`, 1500);
+    } else {
+      flashStatus(`Restore failed: ${(res && res.error) || "unknown"}`, 2000);
+    }
+    selectedHistoryIds.clear();
+    await refreshHistory();
+  };
+
+  const renderHistory = (list, filtered, batchSizes = {}) => {
+    if (!historyEl) return;
+    if (!Array.isArray(list) || list.length === 0) {
+      historyEl.innerHTML = filtered ? "<p>No matching closed tabs.</p>" : "<p>No closed tabs yet.</p>";
+      updateRestoreSelected();
+      return;
+    }
+    const now = Date.now();
+    const html = list
+      .map((entry) => {
+        const age = now - (entry.ts || 0);
+        const when =
+          age < 60000
+            ? "just now"
+            : age < 3600000
+            ? `${Math.floor(age / 60000)}m ago`
+            : new Date(entry.ts || Date.now()).toLocaleString();
+        const title = (entry.title && entry.title.trim()) || entry.url || "";
+        const safeTitle = escapeHtml(title);
+        const safeUrl = escapeHtml(entry.url || "");
+        const stages = entry.stages || {};
+        const stageNotes = [
+          stages.warnedAt ? `warned ${new Date(stages.warnedAt).toLocaleTimeString()}` : "",
+          stages.discardedAt ? `discarded ${new Date(stages.discardedAt).toLocaleTimeString()}` : ""
+        ].filter(Boolean);
+        if (HISTORY_REASON_LABELS[entry.reason]) stageNotes.unshift(HISTORY_REASON_LABELS[entry.reason]);
+        if (entry.engagementScore != null) stageNotes.push(`score ${entry.engagementScore}`);
+        const detail = stageNotes.length ? `${when} (${stageNotes.join(", ")})` : when;
+        const id = escapeHtml(String(entry.id));
+        const batchSize = entry.batchId ? Number(batchSizes[entry.batchId]) || 0 : 0;
+        const batchButton = batchSize > 1
+          ? `<button data-batch="${escapeHtml(entry.batchId)}" class="restore-batch" title="Restore the ${batchSize} tabs closed together with this one">Batch (${batchSize})</button>`
+          : "";
+        return `
+        <div class="history-row" style="display:flex; gap:6px; align-items:center; margin:6px 0;">
+          <input type="checkbox" class="history-select" data-id="${id}"${selectedHistoryIds.has(entry.id) ? " checked" : ""} />
+          <div style="flex:1; min-width:0;">
+            <div style="font-weight:bold; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;" title="${safeTitle}">${safeTitle}</div>
+            <div style="font-size:12px; color:#666; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;" title="${safeUrl}">${safeUrl}</div>
+            <div style="font-size:11px; color:#888;">${escapeHtml(detail)}</div>
+          </div>
+          <div>
+            <button data-id="${id}" class="restore">Restore</button>
+            ${batchButton}
+          </div>
+        </div>`;
+      })
+      .join("");
+    historyEl.innerHTML = html;
+    historyEl.querySelectorAll("button.restore").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const id = Number(btn.getAttribute("data-id"));
+        btn.disabled = true;
+        const res = await sendMessage({ type: "restoreClosed", id });
+        btn.disabled = false;
+        if (!res || !res.ok) {
+          flashStatus(`Restore failed: ${(res && res.error) || "unknown"}`, 2000);
+        }
+        await refreshHistory();
+      });
+    });
+    historyEl.querySelectorAll("button.restore-batch").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        btn.disabled = true;
+        await restoreMany({ batchId: btn.getAttribute("data-batch") });
+      });
+    });
+    historyEl.querySelectorAll("input.history-select").forEach((box) => {
+      box.addEventListener("change", () => {
+        const id = Number(box.getAttribute("data-id"));
+        if (box.checked) selectedHistoryIds.add(id);
+        else selectedHistoryIds.delete(id);
+        updateRestoreSelected();
+      });
+    });
+    updateRestoreSelected();
+  };
+
+  if (historySelectAllEl) {
+    historySelectAllEl.addEventListener("change", () => {
+      if (!historyEl) return;
+      historyEl.querySelectorAll("input.history-select").forEach((box) => {
+        box.checked = historySelectAllEl.checked;
+        const id = Number(box.getAttribute("data-id"));
+        if (box.checked) selectedHistoryIds.add(id);
+        else selectedHistoryIds.delete(id);
+      });
+      updateRestoreSelected();
+    });
+  }
+  if (btnRestoreSelected) {
+    btnRestoreSelected.addEventListener("click", async () => {
+      if (!selectedHistoryIds.size) return;
+      btnRestoreSelected.disabled = true;
+      await restoreMany({ ids: Array.from(selectedHistoryIds) });
+    });
+  }
+
+  // Date inputs are local days; `to` includes the whole day.
+  const readHistoryFilters = () => {
+    const day = (el, endOfDay) => {
+      if (!el || !el.value) return null;
+      const ts = new Date(`${el.value}T00:00:00`).getTime();
+      if (!Number.isFinite(ts)) return null;
+      return endOfDay ? ts + 24 * 60 * 60 * 1000 - 1 : ts;
+    };
+    return {
+      query: historyQueryEl ? historyQueryEl.value.trim() : "",
+      from: day(historyFromEl, false),
+      to: day(historyToEl, true),
+      domain: historyDomainEl ? historyDomainEl.value.trim() : "",
+      reason: historyReasonEl ? historyReasonEl.value : ""
+    };
+  };
+
+  const refreshHistory = async () => {
+    const filters = readHistoryFilters();
+    const res = await sendMessage({
+      type: "searchHistory",
+      filters: { ...filters, offset: historyOffset, limit: HISTORY_PAGE_SIZE }
+    });
+    if (res && res.ok) {
+      const total = Number(res.total) || 0;
+      // Step back if the current page emptied (e.g. after a restore).
+      if (historyOffset > 0 && historyOffset >= total) {
+        historyOffset = Math.max(0, historyOffset - HISTORY_PAGE_SIZE);
+        await refreshHistory();
+        return;
+      }
+      const filtered = Boolean(filters.query || filters.from || filters.to || filters.domain || filters.reason);
+      renderHistory(res.entries || [], filtered, res.batchSizes || {});
+      if (historyPageEl) {
+        historyPageEl.textContent = total
+          ? `${historyOffset + 1}–${Math.min(total, historyOffset + HISTORY_PAGE_SIZE)} of ${total}`
+          : "";
+      }
+      if (historyPrevBtn) historyPrevBtn.disabled = historyOffset === 0;
+      if (historyNextBtn) historyNextBtn.disabled = historyOffset + HISTORY_PAGE_SIZE >= total;
+    } else if (historyEl) {
+      historyEl.textContent = "Failed to load history.";
+    }
+  };
+
+  let historySearchTimer = null;
+  const searchHistorySoon = () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => {
+      historyOffset = 0;
+      refreshHistory();
+    }, 250);
+  };
+  [historyQueryEl, historyDomainEl].forEach((el) => {
+    if (el) el.addEventListener("input", searchHistorySoon);
+  });
+  [historyFromEl, historyToEl, historyReasonEl].forEach((el) => {
+    if (el) el.addEventListener("change", searchHistorySoon);
+  });
+  if (historyPrevBtn) {
+    historyPrevBtn.addEventListener("click", () => {
+      historyOffset = Math.max(0, historyOffset - HISTORY_PAGE_SIZE);
+      refreshHistory();
+    });
+  }
+  if (historyNextBtn) {
+    historyNextBtn.addEventListener("click", () => {
+      historyOffset += HISTORY_PAGE_SIZE;
+      refreshHistory();
+    });
+  }
+  if (historyRetentionEl) {
+    historyRetentionEl.addEventListener("change", () => {
+      const raw = historyRetentionEl.value.trim();
+      if (!/^\d{1,5}$/.test(raw)) {
+        flashStatus("Retention must be a whole number of days", 2000);
+        return;
+      }
+      chrome.storage.sync.set({ historyRetentionDays: Number(raw) }, () => {
+        flashStatus("History retention saved", 1500);
+        refreshHistory();
+      });
+    });
+  }
+
+  const PREVIEW_REASON_LABELS = {
+    unread: "Unread past its timeout",
+    read: "Read (timer will be refreshed)",
+    notDue: "Not due yet",
+    pinned: "Pinned",
+    audible: "Playing audio",
+    notHttp: "Not an http(s) page",
+    rule: "Site rule: never close",
+    scriptError: "Activity check failed (timer will be refreshed)",
+    noMetrics: "No activity data",
+    protected: "Protected",
+    snoozed: "Snoozed",
+    scheduled: "Close time set for this tab",
+    discarded: "Discarded by the browser"
+  };
+
+  const PREVIEW_VERDICT_LABELS = {
+    close: "Would close",
+    discard: "Would discard",
+    warn: "Would warn"
+  };
+
+  const formatDuration = (ms) => {
+    if (ms == null) return "-";
+    const totalMinutes = Math.floor(Math.max(0, ms) / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, "0")}m` : `${minutes}m`;
+  };
+
+  const describeMetrics = (metrics, engagement) => {
+    if (!metrics) return "-";
+    const parts = [
+      engagement ? `score ${engagement.score}` : "",
+      metrics.scrollDepthPct != null
+        ? `scrolled ${metrics.scrollDepthPct}%`
+        : `scroll ${Math.round(metrics.maxScrollY || metrics.scrollY || 0)}/${Math.round(metrics.pageHeight || 0)}px`
+    ];
+    if (metrics.visibleMs != null) parts.push(`visible ${formatDuration(metrics.visibleMs)}`);
+    if (metrics.hasInteracted) parts.push("interacted");
+    if (metrics.tracked === false) parts.push("not tracked yet");
+    return parts.filter(Boolean).join(", ");
+  };
+
+  const renderPreview = (tabs) => {
+    if (!previewEl) return;
+    if (!Array.isArray(tabs) || tabs.length === 0) {
+      previewEl.innerHTML = '<div class="hint">No tracked tabs.</div>';
+      return;
+    }
+    // Tabs that would be acted on first, then oldest first.
+    const acted = (t) => (PREVIEW_VERDICT_LABELS[t.verdict] ? 0 : 1);
+    const rows = tabs.slice().sort((a, b) => acted(a) - acted(b) || b.ageMs - a.ageMs);
+    const closing = rows.filter((t) => t.verdict === "close").length;
+    const body = rows
+      .map((t) => {
+        const safeTitle = escapeHtml(t.title || t.url);
+        const safeUrl = escapeHtml(t.url);
+        const result = PREVIEW_VERDICT_LABELS[t.verdict] || "Keep";
+        const reason = t.reason === "notDue" && t.limitMs == null
+          ? "No timeout applies"
+          : PREVIEW_REASON_LABELS[t.reason] || t.reason;
+        return `
+        <tr class="${acted(t) === 0 ? "would-close" : ""}">
+          <td class="tab-cell" title="${safeUrl}">${safeTitle}</td>
+          <td>${escapeHtml(formatDuration(t.ageMs))} / ${escapeHtml(formatDuration(t.limitMs))}</td>
+          <td>${escapeHtml(describeMetrics(t.metrics, t.engagement))}</td>
+          <td><strong>${result}</strong><div class="hint">${escapeHtml(reason)}</div></td>
+        </tr>`;
+      })
+      .join("");
+    previewEl.innerHTML = `
+      <div class="hint">${closing} of ${rows.length} tracked tabs would be closed now.</div>
+      <table class="preview-table">
+        <colgroup><col style="width:40%"><col style="width:18%"><col style="width:20%"><col style="width:22%"></colgroup>
+        <thead><tr><th>Tab</th><th>Age / limit</th><th>Activity</th><th>Result</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  };
+
+  const refreshDuplicates = async () => {
+    if (!duplicateStatusEl) return;
+    const res = await sendMessage({ type: "getDuplicates" });
+    if (res && res.ok) {
+      duplicateStatusEl.textContent = res.total
+        ? `${res.total} duplicate tab(s) across ${res.groups.length} page(s).`
+        : "No duplicates open.";
+      if (btnCloseDuplicates) btnCloseDuplicates.disabled = !res.total;
+    } else {
+      duplicateStatusEl.textContent = "Failed to look for duplicates.";
+    }
+  };
+
+  const RULE_ACTION_LABELS = {
+    never: "Never close",
+    always: "Always close when unread"
+  };
+
+  let currentRules = [];
+
+  const describeRule = (rule) => {
+    const action = rule.action === "timeout"
+      ? `Close after ${rule.minutes} min`
+      : RULE_ACTION_LABELS[rule.action] || rule.action;
+    return `${rule.pattern} (${rule.match}) - ${action}`;
+  };
+
+  const renderSiteRules = (rules) => {
+    if (!siteRulesEl) return;
+    currentRules = Array.isArray(rules) ? rules : [];
+    if (currentRules.length === 0) {
+      siteRulesEl.innerHTML = '<div class="hint">No site rules. The timeout applies to every site.</div>';
+      return;
+    }
+    siteRulesEl.innerHTML = currentRules
+      .map((rule) => {
+        const text = escapeHtml(describeRule(rule));
+        return `
+        <div class="rule-row">
+          <div class="rule-text" title="${text}">${text}</div>
+          <button data-id="${escapeHtml(rule.id)}" class="remove-rule" type="button">Remove</button>
+        </div>`;
+      })
+      .join("");
+    siteRulesEl.querySelectorAll("button.remove-rule").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const id = btn.getAttribute("data-id");
+        btn.disabled = true;
+        await saveSiteRules(currentRules.filter((rule) => rule.id !== id));
+      });
+    });
+  };
+
+  const saveSiteRules = async (rules) => {
+    const res = await sendMessage({ type: "setSiteRules", rules });
+    if (res && res.ok) {
+      renderSiteRules(res.rules || []);
+      return true;
+    }
+    flashStatus(`Rule not saved: ${(res && res.error) || "unknown"}`, 2500);
+    renderSiteRules(currentRules);
+    return false;
+  };
+
+  const refreshSiteRules = async () => {
+    const res = await sendMessage({ type: "getSiteRules" });
+    if (res && res.ok) {
+      renderSiteRules(res.rules || []);
+    } else if (siteRulesEl) {
+      siteRulesEl.textContent = "Failed to load site rules.";
+    }
+  };
+
+  const refreshDownloadsPerm = () => {
+    if (!permIndicator) return;
+
+    const markGranted = () => {
+      permIndicator.textContent = "enabled";
+      if (btnRequestDownloads) {
+        btnRequestDownloads.disabled = true;
+        btnRequestDownloads.textContent = "Permission enabled";
+      }
+    };
+
+    if (!chrome.permissions || !chrome.permissions.contains) {
+      markGranted();
+      return;
+    }
+
+    chrome.permissions.contains(
+      { permissions: ["downloads"] },
+      (enabled) => {
+        if (chrome.runtime.lastError) {
+          markGranted();
+          return;
+        }
+        permIndicator.textContent = enabled ? "enabled" : "not enabled";
+        if (enabled && btnRequestDownloads) {
+          btnRequestDownloads.disabled = true;
+          btnRequestDownloads.textContent = "Permission enabled";
+        }
+      }
+    );
+  };
+
+  const updateGmailStatus = async () => {
+    if (!gmailStatusEl) return;
+    gmailStatusEl.textContent = "Checking Gmail status...";
+    const res = await sendMessage({ type: "gmail-status" });
+    const ok = Boolean(res && res.ok && res.signedIn);
+    if (ok) {
+      const email = res.email ? `Connected as: ${res.email}` : "Gmail connected";
+      gmailStatusEl.textContent = email;
+    } else {
+      gmailStatusEl.textContent = res && res.error
+        ? `Not connected (${res.error})`
+        : "Not connected to Gmail";
+    }
+    if (btnGmailTest) btnGmailTest.disabled = !ok;
+    if (btnGmailSignOut) btnGmailSignOut.disabled = !ok;
+  };
+
+  // Threshold save handler
+  if (saveBtn && thresholdEl) {
+    saveBtn.addEventListener("click", () => {
+      const parsed = parseThreshold(thresholdEl.value);
+      if (!parsed) {
+        flashStatus("Invalid time format. Use HH:MM", 2000);
+        return;
+      }
+      const warnAt = parseStagePercent(warnAtEl && warnAtEl.value);
+      const discardAt = parseStagePercent(discardAtEl && discardAtEl.value);
+      if (warnAt == null || discardAt == null) {
+        flashStatus("Invalid stage. Use a percentage from 1 to 99", 2500);
+        return;
+      }
+      const engagementModel = readEngagementModel();
+      if (!engagementModel) {
+        flashStatus("Invalid engagement settings. Use whole numbers from 0 to 100", 2500);
+        return;
+      }
+      const budgetRaw = (tabBudgetEl && tabBudgetEl.value || "").trim();
+      if (!/^\d{0,3}$/.test(budgetRaw)) {
+        flashStatus("Invalid tab budget. Use a whole number", 2500);
+        return;
+      }
+      let wakeCloseLimit = 5;
+      if (wakeCloseLimitEl) {
+        const raw = (wakeCloseLimitEl.value || "").trim();
+        wakeCloseLimit = raw ? Number(raw) : 5;
+        if (!/^\d{0,3}$/.test(raw)) {
+          flashStatus("Invalid close limit. Use a whole number", 2500);
+          return;
+        }
+      }
+      let batchMinutes = 1;
+      if (batchWindowEl) {
+        const raw = (batchWindowEl.value || "").trim();
+        const parsedBatch = Number(raw);
+        if (!Number.isFinite(parsedBatch) || parsedBatch < 1) {
+          flashStatus("Invalid batch window. Use minutes >= 1", 2500);
+          return;
+        }
+        batchMinutes = Math.floor(parsedBatch);
+      }
+      chrome.storage.sync.set(
+        {
+          thresholdHours: parsed.hours,
+          thresholdMinutes: parsed.minutes,
+          batchWindowMinutes: batchMinutes,
+          warnAtPercent: warnAt,
+          discardAtPercent: discardAt,
+          wakeCloseLimit,
+          engagementModel,
+          tabBudget: budgetRaw ? Number(budgetRaw) : 0,
+          tabBudgetScope: tabBudgetScopeEl ? tabBudgetScopeEl.value : "window"
+        },
+        () => {
+          flashStatus("Settings saved", 1500);
+          chrome.runtime.sendMessage({ type: "resetBadge" }, () => {});
+        }
+      );
+    });
+  }
+
+  if (runNowBtn) {
+    runNowBtn.addEventListener("click", async () => {
+      runNowBtn.disabled = true;
+      const res = await sendMessage({ type: "runCheckNow" });
+      runNowBtn.disabled = false;
+      if (res && res.ok) {
+        flashStatus("Check started", 1500);
+      } else {
+        flashStatus(`Failed to start: ${(res && res.error) || "unknown"}`, 2000);
+      }
+    });
+  }
+
+  if (btnOpenStats) {
+    btnOpenStats.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
+    });
+  }
+
+  // Keyboard shortcuts (manifest "commands"); Chrome owns the key bindings.
+  const refreshShortcuts = () => {
+    if (!shortcutsEl || !chrome.commands) return;
+    chrome.commands.getAll((commands) => {
+      shortcutsEl.innerHTML = (commands || [])
+        .filter((command) => command.description)
+        .map((command) => `<tr>
+          <td>${escapeHtml(command.description)}</td>
+          <td>${command.shortcut ? `<kbd>${escapeHtml(command.shortcut)}</kbd>` : '<span class="hint">Not set</span>'}</td>
+        </tr>`)
+        .join("");
+    });
+  };
+
+  if (btnEditShortcuts) {
+    btnEditShortcuts.addEventListener("click", () => {
+      chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+  }
+  // Pick up changes made in chrome://extensions/shortcuts in another tab.
+  window.addEventListener("focus", refreshShortcuts);
+
+  // Duplicate tabs UI
+  if (duplicateModeEl) {
+    duplicateModeEl.addEventListener("change", () => {
+      chrome.storage.sync.set({ duplicateMode: duplicateModeEl.value });
+    });
+  }
+
+  if (duplicateHostRulesEl) {
+    duplicateHostRulesEl.addEventListener("change", async () => {
+      chrome.storage.sync.set({ duplicateHostRules: duplicateHostRulesEl.value || "" }, refreshDuplicates);
+    });
+  }
+
+  if (btnCloseDuplicates) {
+    btnCloseDuplicates.addEventListener("click", async () => {
+      btnCloseDuplicates.disabled = true;
+      const res = await sendMessage({ type: "closeDuplicates" });
+      if (res && res.ok) {
+        flashStatus(`Closed ${res.closed} duplicate tab(s)`, 2000);
+      } else {
+        flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 2000);
+      }
+      await refreshDuplicates();
+      await refreshHistory();
+    });
+  }
+
+  // Site rules UI
+  if (ruleActionEl && ruleMinutesEl) {
+    ruleActionEl.addEventListener("change", () => {
+      ruleMinutesEl.disabled = ruleActionEl.value !== "timeout";
+    });
+  }
+
+  if (btnAddRule && rulePatternEl) {
+    btnAddRule.addEventListener("click", async () => {
+      const pattern = (rulePatternEl.value || "").trim();
+      if (!pattern) {
+        flashStatus("Enter a host or URL pattern", 2000);
+        return;
+      }
+      const rule = {
+        pattern,
+        match: ruleMatchEl ? ruleMatchEl.value : "host",
+        action: ruleActionEl ? ruleActionEl.value : "never"
+      };
+      if (rule.action === "timeout") {
+        rule.minutes = Number((ruleMinutesEl && ruleMinutesEl.value || "").trim());
+      }
+      btnAddRule.disabled = true;
+      const saved = await saveSiteRules(currentRules.concat([rule]));
+      btnAddRule.disabled = false;
+      if (saved) {
+        rulePatternEl.value = "";
+        if (ruleMinutesEl) ruleMinutesEl.value = "";
+        flashStatus("Rule added", 1500);
+      }
+    });
+  }
+
+  if (previewBtn) {
+    previewBtn.addEventListener("click", async () => {
+      // Preview with the timeout currently typed in, even if not saved yet.
+      const parsed = thresholdEl ? parseThreshold(thresholdEl.value) : null;
+      const msg = parsed
+        ? { type: "previewCheck", thresholdHours: parsed.hours, thresholdMinutes: parsed.minutes }
+        : { type: "previewCheck" };
+      const warnAt = parseStagePercent(warnAtEl && warnAtEl.value);
+      const discardAt = parseStagePercent(discardAtEl && discardAtEl.value);
+      if (warnAt != null) msg.warnAtPercent = warnAt;
+      if (discardAt != null) msg.discardAtPercent = discardAt;
+      const engagementModel = readEngagementModel();
+      if (engagementModel) msg.engagementModel = engagementModel;
+      previewBtn.disabled = true;
+      if (previewEl) previewEl.innerHTML = '<div class="hint">Evaluating tabs...</div>';
+      const res = await sendMessage(msg);
+      previewBtn.disabled = false;
+      if (res && res.ok) {
+        renderPreview(res.tabs || []);
+      } else {
+        if (previewEl) previewEl.innerHTML = "";
+        flashStatus(`Preview failed: ${(res && res.error) || "unknown"}`, 2000);
+      }
+    });
+  }
+
+  if (clearHistoryBtn) {
+    clearHistoryBtn.addEventListener("click", async () => {
+      clearHistoryBtn.disabled = true;
+      const res = await sendMessage({ type: "clearHistory" });
+      clearHistoryBtn.disabled = false;
+      if (res && res.ok) {
+        selectedHistoryIds.clear();
+        await refreshHistory();
+        flashStatus("History cleared", 1500);
+      } else {
+        flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 2000);
+      }
+    });
+  }
+
+  // Gmail UI wiring
+  if (notifyEmailEl) {
+    notifyEmailEl.addEventListener("change", () => {
+      const value = (notifyEmailEl.value || "").trim();
+      chrome.storage.sync.set({ notifyEmail: value || "" });
+    });
+  }
+
+  if (btnGmailConnect) {
+    btnGmailConnect.addEventListener("click", async () => {
+      btnGmailConnect.disabled = true;
+      if (gmailStatusEl) gmailStatusEl.textContent = "Authorizing Gmail...";
+      const res = await sendMessage({ type: "gmail-connect" });
+      btnGmailConnect.disabled = false;
+      if (res && res.ok) {
+        await updateGmailStatus();
+      } else {
+        gmailStatusEl.textContent = `Authorization failed: ${(res && res.error) || "unknown"}`;
+      }
+    });
+  }
+
+  if (btnGmailSignOut) {
+    btnGmailSignOut.addEventListener("click", async () => {
+      btnGmailSignOut.disabled = true;
+      const res = await sendMessage({ type: "gmail-signOut" });
+      if (!(res && res.ok) && gmailStatusEl) {
+        gmailStatusEl.textContent = `Failed to sign out: ${(res && res.error) || "unknown"}`;
+      }
+      await updateGmailStatus();
+    });
+  }
+
+  if (btnGmailTest) {
+    btnGmailTest.addEventListener("click", async () => {
+      const to = (notifyEmailEl && notifyEmailEl.value || "").trim();
+      if (!to) {
+        flashStatus("Enter recipient email first", 2000);
+        return;
+      }
+      btnGmailTest.disabled = true;
+      const res = await sendMessage({
+        type: "gmail-send",
+        payload: {
+          to,
+          subject: "Tab Monitor Closer: test",
+          body: "Test message from the Tab Monitor Closer extension."
+        }
+      });
+      btnGmailTest.disabled = false;
+      if (res && res.ok) {
+        flashStatus("Test email sent", 2000);
+      } else {
+        flashStatus(`Send failed: ${(res && res.error) || "unknown"}`, 2500);
+      }
+    });
+  }
+
+  if (emailAttachmentEl) {
+    emailAttachmentEl.addEventListener("change", () => {
+      chrome.storage.sync.set({ emailAttachment: emailAttachmentEl.value });
+    });
+  }
+
+  // Secrets: the background only reports whether each one is set, so the
+  // fields stay empty and typing into one replaces the stored value.
+  const SECRET_FIELDS = { tgToken: tgTokenEl, webhookUrl: webhookUrlEl, webhookHeaders: webhookHeadersEl };
+  let secretStatus = { passphrase: false, locked: false, secrets: {} };
+
+  const renderSecretStatus = (status) => {
+    secretStatus = status;
+    document.querySelectorAll(".secret-state").forEach((el) => {
+      el.textContent = status.secrets[el.getAttribute("data-secret")] ? "(saved, encrypted)" : "(not set)";
+    });
+    Object.keys(SECRET_FIELDS).forEach((name) => {
+      const el = SECRET_FIELDS[name];
+      if (el) el.placeholder = status.secrets[name] ? "Saved - type to replace" : el.getAttribute("data-placeholder");
+    });
+    if (secretsStatusEl) {
+      secretsStatusEl.textContent = !status.passphrase
+        ? "No passphrase: secrets are encrypted with a key kept in this browser."
+        : status.locked
+        ? "Locked: enter the passphrase and press Unlock. Notifications are held until then."
+        : "Protected by a passphrase and unlocked until the browser restarts.";
+    }
+    if (btnUnlockSecrets) btnUnlockSecrets.disabled = !status.locked;
+    if (btnLockSecrets) btnLockSecrets.disabled = !status.passphrase || status.locked;
+    if (btnSetSecretsPassphrase) btnSetSecretsPassphrase.textContent = status.passphrase ? "Change passphrase" : "Set passphrase";
+    if (btnRemoveSecretsPassphrase) btnRemoveSecretsPassphrase.disabled = !status.passphrase;
+  };
+
+  const refreshSecretStatus = async () => {
+    const res = await sendMessage({ type: "getSecretStatus" });
+    if (res && res.ok) {
+      renderSecretStatus(res);
+    } else if (secretsStatusEl) {
+      secretsStatusEl.textContent = `Failed to load secrets: ${(res && res.error) || "unknown"}`;
+    }
+  };
+
+  const saveSecret = async (name, value) => {
+    const res = await sendMessage({ type: "setSecret", name, value });
+    if (res && res.ok) {
+      renderSecretStatus(res);
+      if (SECRET_FIELDS[name]) SECRET_FIELDS[name].value = "";
+      flashStatus(value ? "Saved (encrypted)" : "Cleared", 1500);
+    } else {
+      flashStatus(`Not saved: ${(res && res.error) || "unknown"}`, 3000);
+    }
+  };
+
+  Object.keys(SECRET_FIELDS).forEach((name) => {
+    const el = SECRET_FIELDS[name];
+    if (!el) return;
+    el.setAttribute("data-placeholder", el.placeholder || "");
+    el.addEventListener("change", () => {
+      const value = name === "webhookHeaders" ? el.value || "" : (el.value || "").trim();
+      if (value.trim()) saveSecret(name, value);
+    });
+  });
+
+  document.querySelectorAll("button.secret-clear").forEach((btn) => {
+    btn.addEventListener("click", () => saveSecret(btn.getAttribute("data-secret"), ""));
+  });
+
+  const runSecretsAction = async (btn, message, doneText) => {
+    btn.disabled = true;
+    const res = await sendMessage(message);
+    btn.disabled = false;
+    if (res && res.ok) {
+      if (secretsPassphraseEl) secretsPassphraseEl.value = "";
+      if (secretsNewPassphraseEl) secretsNewPassphraseEl.value = "";
+      renderSecretStatus(res);
+      flashStatus(doneText, 2000);
+    } else {
+      flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 3000);
+    }
+  };
+
+  if (btnUnlockSecrets) {
+    btnUnlockSecrets.addEventListener("click", () => {
+      const passphrase = secretsPassphraseEl ? secretsPassphraseEl.value : "";
+      if (!passphrase) {
+        flashStatus("Enter the passphrase", 2000);
+        return;
+      }
+      runSecretsAction(btnUnlockSecrets, { type: "unlockSecrets", passphrase }, "Secrets unlocked");
+    });
+  }
+  if (btnLockSecrets) {
+    btnLockSecrets.addEventListener("click", () => runSecretsAction(btnLockSecrets, { type: "lockSecrets" }, "Secrets locked"));
+  }
+  if (btnSetSecretsPassphrase) {
+    btnSetSecretsPassphrase.addEventListener("click", () => {
+      const next = secretsNewPassphraseEl ? secretsNewPassphraseEl.value : "";
+      if (!next) {
+        flashStatus("Enter a new passphrase", 2000);
+        return;
+      }
+      runSecretsAction(
+        btnSetSecretsPassphrase,
+        { type: "setSecretsPassphrase", current: secretsPassphraseEl ? secretsPassphraseEl.value : "", next },
+        "Passphrase saved"
+      );
+    });
+  }
+  if (btnRemoveSecretsPassphrase) {
+    btnRemoveSecretsPassphrase.addEventListener("click", () => {
+      runSecretsAction(
+        btnRemoveSecretsPassphrase,
+        { type: "setSecretsPassphrase", current: secretsPassphraseEl ? secretsPassphraseEl.value : "", next: "" },
+        "Passphrase removed"
+      );
+    });
+  }
+
+  // Telegram UI
+  if (tgChatIdEl) {
+    tgChatIdEl.addEventListener("change", () => {
+      chrome.storage.sync.set({ tgChatId: (tgChatIdEl.value || "").trim() });
+    });
+  }
+  if (chkTgReopenButtons) {
+    chkTgReopenButtons.addEventListener("change", () => {
+      chrome.storage.sync.set({ tgReopenButtons: chkTgReopenButtons.checked });
+    });
+  }
+  if (tgApiOriginEl) {
+    tgApiOriginEl.addEventListener("change", () => {
+      const origin = (tgApiOriginEl.value || "").trim();
+      if (origin && !/^(https:\/\/[^/?#\s]+|http:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?)(\/|$)/i.test(origin)) {
+        flashStatus("Bot API server must start with https:// (http:// only for localhost)", 2500);
+        return;
+      }
+      chrome.storage.sync.set({ tgApiOrigin: origin });
+    });
+  }
+  if (btnTgTest) {
+    btnTgTest.addEventListener("click", async () => {
+      const chatId = (tgChatIdEl && tgChatIdEl.value || "").trim();
+      const token = secretStatus.secrets.tgToken || (tgTokenEl && tgTokenEl.value || "").trim();
+      if (!token || !chatId) {
+        flashStatus("Enter Telegram token and chat ID", 2000);
+        return;
+      }
+      btnTgTest.disabled = true;
+      flashStatus("Sending to Telegram...", 1500);
+      const res = await sendMessage({
+        type: "telegram-send",
+        payload: { text: "<b>Test</b> message from Tab Monitor Closer" }
+      });
+      btnTgTest.disabled = false;
+      if (res && res.ok) {
+        flashStatus("Sent to Telegram", 2000);
+      } else {
+        flashStatus(`Telegram error: ${(res && res.error) || "failed"}`, 2500);
+      }
+    });
+  }
+
+  // Digest schedule per channel; the background normalizes missing fields.
+  const digestRows = document.querySelectorAll(".row.digest");
+
+  const updateDigestRow = (row) => {
+    const mode = row.querySelector(".digest-mode").value;
+    row.querySelector(".digest-at").style.display = mode === "daily" || mode === "weekly" ? "" : "none";
+    row.querySelector(".digest-on").style.display = mode === "weekly" ? "" : "none";
+  };
+
+  const renderDigestSchedules = (schedules) => {
+    digestRows.forEach((row) => {
+      const schedule = (schedules && schedules[row.getAttribute("data-channel")]) || {};
+      row.querySelector(".digest-mode").value = schedule.mode || "immediate";
+      row.querySelector(".digest-time").value = schedule.time || "08:00";
+      row.querySelector(".digest-weekday").value = String(schedule.weekday != null ? schedule.weekday : 1);
+      updateDigestRow(row);
+    });
+  };
+
+  digestRows.forEach((row) => {
+    row.addEventListener("change", () => {
+      updateDigestRow(row);
+      const channel = row.getAttribute("data-channel");
+      chrome.storage.sync.get("digestSchedules", (data) => {
+        const digestSchedules = Object.assign({}, data.digestSchedules);
+        digestSchedules[channel] = {
+          mode: row.querySelector(".digest-mode").value,
+          time: row.querySelector(".digest-time").value || "08:00",
+          weekday: Number(row.querySelector(".digest-weekday").value)
+        };
+        chrome.storage.sync.set({ digestSchedules }, () => flashStatus("Delivery schedule saved", 1500));
+      });
+    });
+  });
+
+  // Message templates with a live preview rendered by the background, so
+  // the preview and the real messages share one template engine.
+  const TELEGRAM_PREVIEW_TAGS = ["B", "STRONG", "I", "EM", "U", "INS", "S", "STRIKE", "DEL", "A", "CODE", "PRE"];
+
+  // Rebuild Telegram's HTML subset with DOM nodes; other tags keep only
+  // their text, as Telegram would reject them anyway.
+  const renderTelegramPreview = (target, html) => {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, "text/html");
+    const copy = (from, to) => {
+      from.childNodes.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          to.appendChild(document.createTextNode(node.textContent));
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (!TELEGRAM_PREVIEW_TAGS.includes(node.tagName)) {
+          copy(node, to);
+          return;
+        }
+        const el = document.createElement(node.tagName);
+        const href = node.getAttribute("href") || "";
+        if (node.tagName === "A" && /^https?:\/\//i.test(href)) {
+          el.href = href;
+          el.target = "_blank";
+          el.rel = "noopener";
+        }
+        copy(node, el);
+        to.appendChild(el);
+      });
+    };
+    target.textContent = "";
+    copy(doc.body, target);
+  };
+
+  let templatePreviewTimer = null;
+  const refreshTemplatePreview = () => {
+    clearTimeout(templatePreviewTimer);
+    templatePreviewTimer = setTimeout(async () => {
+      const res = await sendMessage({
+        type: "previewMessageTemplates",
+        templates: {
+          emailSubjectTemplate: emailSubjectTemplateEl ? emailSubjectTemplateEl.value : "",
+          emailBodyTemplate: emailBodyTemplateEl ? emailBodyTemplateEl.value : "",
+          telegramTemplate: telegramTemplateEl ? telegramTemplateEl.value : "",
+          digest: Boolean(chkTemplatePreviewDigest && chkTemplatePreviewDigest.checked)
+        }
+      });
+      if (!res || !res.ok) {
+        if (templatePreviewNoteEl) templatePreviewNoteEl.textContent = `Preview failed: ${(res && res.error) || "unknown"}`;
+        return;
+      }
+      if (emailPreviewSubjectEl) emailPreviewSubjectEl.textContent = res.email.subject;
+      if (emailPreviewBodyEl) emailPreviewBodyEl.textContent = res.email.body;
+      if (telegramPreviewEl) renderTelegramPreview(telegramPreviewEl, res.telegram.text);
+      if (templatePreviewNoteEl) {
+        templatePreviewNoteEl.textContent = res.telegram.error
+          ? `Telegram would reject this template (${res.telegram.error}); the built-in message is shown.`
+          : res.sample
+            ? "Preview uses sample tabs until something has been closed."
+            : "Preview uses your three most recently closed tabs.";
+      }
+    }, 200);
+  };
+
+  [
+    [emailSubjectTemplateEl, "emailSubjectTemplate"],
+    [emailBodyTemplateEl, "emailBodyTemplate"],
+    [telegramTemplateEl, "telegramTemplate"]
+  ].forEach(([el, key]) => {
+    if (!el) return;
+    el.addEventListener("input", refreshTemplatePreview);
+    el.addEventListener("change", async () => {
+      if (key === "telegramTemplate") {
+        const res = await sendMessage({ type: "previewMessageTemplates", templates: { telegramTemplate: el.value || "" } });
+        if (res && res.ok && res.telegram.error) {
+          flashStatus(`Template not saved: ${res.telegram.error}`, 4000);
+          return;
+        }
+      }
+      chrome.storage.sync.set({ [key]: el.value || "" }, () => {
+        if (chrome.runtime.lastError) {
+          flashStatus(`Template not saved: ${chrome.runtime.lastError.message}`, 4000);
+          return;
+        }
+        flashStatus("Template saved", 1500);
+      });
+    });
+  });
+  if (chkTemplatePreviewDigest) chkTemplatePreviewDigest.addEventListener("change", refreshTemplatePreview);
+
+  // Webhook UI
+  const WEBHOOK_PRESETS = {
+    slack: '{"text": "{{text}}"}',
+    discord: '{"content": "{{text}}"}',
+    custom: '{\n  "count": {{count}},\n  "entries": {{entries}}\n}'
+  };
+
+  if (webhookMethodEl) {
+    webhookMethodEl.addEventListener("change", () => {
+      chrome.storage.sync.set({ webhookMethod: webhookMethodEl.value });
+    });
+  }
+  if (webhookBodyTemplateEl) {
+    webhookBodyTemplateEl.addEventListener("change", () => {
+      chrome.storage.sync.set({ webhookBodyTemplate: webhookBodyTemplateEl.value || "" });
+    });
+  }
+  if (webhookPresetEl && webhookBodyTemplateEl) {
+    webhookPresetEl.addEventListener("change", () => {
+      const preset = WEBHOOK_PRESETS[webhookPresetEl.value];
+      webhookPresetEl.value = "";
+      if (!preset) return;
+      webhookBodyTemplateEl.value = preset;
+      chrome.storage.sync.set({ webhookBodyTemplate: preset });
+    });
+  }
+
+  if (btnWebhookTest) {
+    btnWebhookTest.addEventListener("click", async () => {
+      if (!secretStatus.secrets.webhookUrl && !(webhookUrlEl && (webhookUrlEl.value || "").trim())) {
+        flashStatus("Enter a webhook URL", 2000);
+        return;
+      }
+      btnWebhookTest.disabled = true;
+      flashStatus("Sending to webhook...", 1500);
+      const res = await sendMessage({ type: "webhook-send" });
+      btnWebhookTest.disabled = false;
+      if (res && res.ok) {
+        flashStatus("Sent to webhook", 2000);
+      } else {
+        flashStatus(`Webhook error: ${(res && res.error) || "failed"}`, 3000);
+      }
+    });
+  }
+
+  // HTML Log UI
+  const LOG_FORMAT_EXTENSIONS = { html: "html", json: "json", csv: "csv", markdown: "md", bookmarks: "html" };
+  const selectedLogFormat = () => (logFormatEl && logFormatEl.value) || "html";
+
+  const updateLogNamePlaceholder = () => {
+    if (logFileNameEl) logFileNameEl.placeholder = `closed-tabs.${LOG_FORMAT_EXTENSIONS[selectedLogFormat()] || "html"}`;
+  };
+
+  if (logFormatEl) {
+    logFormatEl.addEventListener("change", () => {
+      updateLogNamePlaceholder();
+      chrome.storage.sync.set({ logFormat: selectedLogFormat() });
+    });
+  }
+
+  const setLogStatus = (text, timeout = 2500) => {
+    if (!logFileStatus) return;
+    logFileStatus.textContent = text || "";
+    if (timeout > 0) {
+      setTimeout(() => {
+        if (logFileStatus.textContent === text) logFileStatus.textContent = "";
+      }, timeout);
+    }
+  };
+
+  if (btnChooseLogFile) {
+    btnChooseLogFile.addEventListener("click", async () => {
+      const suggested =
+        (logFileNameEl && logFileNameEl.value && logFileNameEl.value.trim()) ||
+        "closed-tabs.html";
+      btnChooseLogFile.disabled = true;
+      setLogStatus("Opening Save As...", 3000);
+      const res = await sendMessage({
+        type: "saveAsLogFile",
+        suggestedName: suggested,
+        format: selectedLogFormat()
+      });
+      btnChooseLogFile.disabled = false;
+      if (res && res.ok) {
+        if (res.filename && logFilePathDisplay) {
+          logFilePathDisplay.textContent = res.filename;
+        }
+        if (logFileNameEl && res.filename) {
+          logFileNameEl.value = res.filename;
+        }
+        setLogStatus("Save dialog completed.");
+      } else {
+        setLogStatus(`Save failed: ${(res && res.error) || "unknown"}`, 2500);
+      }
+    });
+  }
+
+  if (btnResetLogFile) {
+    btnResetLogFile.addEventListener("click", () => {
+      chrome.storage.sync.remove(["logFileName"], () => {
+        if (logFileNameEl) logFileNameEl.value = "";
+        if (logFilePathDisplay) logFilePathDisplay.textContent = "File not set.";
+        setLogStatus("Setting cleared", 1800);
+      });
+    });
+  }
+
+  if (btnExportHtml) {
+    btnExportHtml.addEventListener("click", async () => {
+      btnExportHtml.disabled = true;
+      setLogStatus("Exporting...", 3000);
+      const saveAs = Boolean(chkSaveAsEveryTime && chkSaveAsEveryTime.checked);
+      const msg = saveAs
+        ? {
+            type: "saveAsLogFile",
+            suggestedName:
+              (logFileNameEl && logFileNameEl.value && logFileNameEl.value.trim()) ||
+              "closed-tabs.html",
+            format: selectedLogFormat()
+          }
+        : { type: "exportHtmlNow", format: selectedLogFormat() };
+      const res = await sendMessage(msg);
+      btnExportHtml.disabled = false;
+      if (res && res.ok) {
+        if (res.filename && logFilePathDisplay) {
+          logFilePathDisplay.textContent = res.filename;
+        }
+        if (logFileNameEl && res.filename) {
+          logFileNameEl.value = res.filename;
+        }
+        setLogStatus("Export complete - check Downloads.");
+      } else {
+        setLogStatus(`Export failed: ${(res && res.error) || "unknown"}`, 2500);
+      }
+    });
+  }
+
+  if (btnRequestDownloads) {
+    btnRequestDownloads.addEventListener("click", () => {
+      btnRequestDownloads.disabled = true;
+      setLogStatus("Downloads permission is required and always enabled in this build.", 3000);
+      refreshDownloadsPerm();
+    });
+  }
+
+  if (chkSaveAsEveryTime) {
+    chkSaveAsEveryTime.addEventListener("change", () => {
+      chrome.storage.sync.set({
+        logSaveAsEveryTime: Boolean(chkSaveAsEveryTime.checked)
+      });
+    });
+  }
+
+  if (chkPauseWhenAway) {
+    chkPauseWhenAway.addEventListener("change", () => {
+      chrome.storage.sync.set({
+        pauseWhenAway: Boolean(chkPauseWhenAway.checked)
+      });
+    });
+  }
+
+  if (chkExportOnClose) {
+    chkExportOnClose.addEventListener("change", () => {
+      chrome.storage.sync.set({
+        logExportOnClose: Boolean(chkExportOnClose.checked)
+      });
+    });
+  }
+
+  // Settings backup UI
+  if (btnExportSettings) {
+    btnExportSettings.addEventListener("click", async () => {
+      const res = await sendMessage({
+        type: "exportSettings",
+        includeSecrets: Boolean(chkExportSecrets && chkExportSecrets.checked)
+      });
+      if (!res || !res.ok) {
+        flashStatus(`Export failed: ${(res && res.error) || "unknown"}`, 2000);
+        return;
+      }
+      const blob = new Blob([JSON.stringify(res.document, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `tab-monitor-closer-settings-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      flashStatus("Settings exported", 1500);
+    });
+  }
+
+  // The document reviewed last; Apply sends exactly this one.
+  let pendingImport = null;
+
+  const resetImportPreview = () => {
+    pendingImport = null;
+    if (btnApplyImport) btnApplyImport.disabled = true;
+    if (settingsImportDiffEl) settingsImportDiffEl.innerHTML = "";
+  };
+
+  const formatSettingValue = (value) => {
+    if (value == null) return "(not set)";
+    if (typeof value === "string") return value || "(empty)";
+    return JSON.stringify(value);
+  };
+
+  const renderImportPreview = (res) => {
+    if (!settingsImportDiffEl) return;
+    const notes = [];
+    (res.errors || []).forEach((err) => notes.push(`<div class="small-note">${escapeHtml(err)}</div>`));
+    if (res.ignored && res.ignored.length) {
+      notes.push(`<div class="hint">Unknown settings skipped: ${escapeHtml(res.ignored.join(", "))}</div>`);
+    }
+    if (res.omitted && res.omitted.length) {
+      notes.push(`<div class="hint">Not in this file (kept as is): ${escapeHtml(res.omitted.join(", "))}</div>`);
+    }
+    const changes = res.changes || [];
+    const table = changes.length
+      ? `<table class="settings-diff">
+          <thead><tr><th style="width:30%">Setting</th><th>Current</th><th>Imported</th></tr></thead>
+          <tbody>${changes
+            .map(
+              (c) => `<tr><td>${escapeHtml(c.key)}</td><td>${escapeHtml(formatSettingValue(c.before))}</td><td>${escapeHtml(formatSettingValue(c.after))}</td></tr>`
+            )
+            .join("")}</tbody>
+        </table>`
+      : "<p>No changes: the file matches the current settings.</p>";
+    settingsImportDiffEl.innerHTML = notes.join("") + table;
+  };
+
+  if (settingsImportTextEl) settingsImportTextEl.addEventListener("input", resetImportPreview);
+
+  if (btnLoadSettingsFile && settingsImportFileEl) {
+    btnLoadSettingsFile.addEventListener("click", () => settingsImportFileEl.click());
+    settingsImportFileEl.addEventListener("change", async () => {
+      const file = settingsImportFileEl.files && settingsImportFileEl.files[0];
+      if (!file) return;
+      if (settingsImportTextEl) settingsImportTextEl.value = await file.text();
+      settingsImportFileEl.value = "";
+      resetImportPreview();
+      if (btnPreviewImport) btnPreviewImport.click();
+    });
+  }
+
+  if (btnPreviewImport) {
+    btnPreviewImport.addEventListener("click", async () => {
+      resetImportPreview();
+      let doc;
+      try {
+        doc = JSON.parse((settingsImportTextEl && settingsImportTextEl.value) || "");
+      } catch (err) {
+        flashStatus("Import failed: not valid JSON", 2500);
+        return;
+      }
+      const res = await sendMessage({ type: "previewSettingsImport", document: doc });
+      if (!res || !res.ok) {
+        flashStatus(`Import failed: ${(res && res.error) || "unknown"}`, 2500);
+        return;
+      }
+      renderImportPreview(res);
+      if (!(res.errors || []).length && (res.changes || []).length) {
+        pendingImport = doc;
+        if (btnApplyImport) btnApplyImport.disabled = false;
+      }
+    });
+  }
+
+  if (btnApplyImport) {
+    btnApplyImport.addEventListener("click", async () => {
+      if (!pendingImport) return;
+      btnApplyImport.disabled = true;
+      const res = await sendMessage({ type: "importSettings", document: pendingImport });
+      if (res && res.ok) {
+        resetImportPreview();
+        if (settingsImportTextEl) settingsImportTextEl.value = "";
+        populateInitialFields();
+        refreshSiteRules();
+        flashStatus(`Imported ${res.applied.length} setting${res.applied.length === 1 ? "" : "s"}`, 2000);
+      } else {
+        btnApplyImport.disabled = false;
+        flashStatus(`Import failed: ${(res && res.error) || "unknown"}`, 2500);
+      }
+    });
+  }
+
+  populateInitialFields();
+  refreshSiteRules();
+  refreshDuplicates();
+  refreshHistory();
+  refreshDownloadsPerm();
+  updateGmailStatus();
+  refreshSecretStatus();
+  refreshShortcuts();
+});
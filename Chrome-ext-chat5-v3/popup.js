@@ -1,39 +1,31 @@
 // Popup script for Tab Monitor Closer.
 //
-// Configure thresholds, review history, manage Gmail/Telegram notifications,
-// and control HTML log export behavior from the popup UI.
+// Quick actions only: run a check, protect or snooze the current tab,
+// restore one of the latest closures, watch notification delivery and
+// unlock passphrase-protected secrets.
+// Everything else lives on the options page (options.js).
 
 document.addEventListener("DOMContentLoaded", () => {
   const byId = (id) => document.getElementById(id);
   const statusEl = byId("status");
   const historyEl = byId("history");
-
-  const thresholdEl = byId("thresholdHHMM");
-  const batchWindowEl = byId("batchWindowMinutes");
-  const saveBtn = byId("save");
   const runNowBtn = byId("runNow");
-  const clearHistoryBtn = byId("clearHistory");
-
-  const notifyEmailEl = byId("notifyEmail");
-  const gmailStatusEl = byId("gmailStatus");
-  const btnGmailConnect = byId("btnGmailConnect");
-  const btnGmailSignOut = byId("btnGmailSignOut");
-  const btnGmailTest = byId("btnGmailTest");
-
-  const tgTokenEl = byId("tgToken");
-  const tgChatIdEl = byId("tgChatId");
-  const btnTgTest = byId("btnTgTest");
-
-  const logFileNameEl = byId("logFileName");
-  const logFilePathDisplay = byId("logFilePathDisplay");
-  const logFileStatus = byId("logFileStatus");
-  const btnChooseLogFile = byId("btnChooseLogFile");
-  const btnResetLogFile = byId("btnResetLogFile");
-  const btnExportHtml = byId("btnExportHtml");
-  const permIndicator = byId("permIndicator");
-  const btnRequestDownloads = byId("btnRequestDownloads");
-  const chkSaveAsEveryTime = byId("chkSaveAsEveryTime");
-  const chkExportOnClose = byId("chkExportOnClose");
+  const btnOpenOptions = byId("btnOpenOptions");
+  const btnOpenStats = byId("btnOpenStats");
+  const linkAllHistory = byId("linkAllHistory");
+  const deliveryEl = byId("delivery");
+  const btnRetryDelivery = byId("btnRetryDelivery");
+  const btnClearFailedDelivery = byId("btnClearFailedDelivery");
+  const secretsStatusEl = byId("secretsStatus");
+  const secretsLockEl = byId("secretsLock");
+  const secretsPassphraseEl = byId("secretsPassphrase");
+  const btnUnlockSecrets = byId("btnUnlockSecrets");
+  const tabGuardStatusEl = byId("tabGuardStatus");
+  const tabGuardButtons = document.querySelectorAll("button.tab-guard");
+
+  // Number of closures listed in the popup; the options page has the rest.
+  const RECENT_LIMIT = 5;
+  const SECRET_LABELS = { tgToken: "Telegram bot token", webhookUrl: "Webhook URL", webhookHeaders: "Webhook headers" };
 
   const sendMessage = (message) =>
     new Promise((resolve) => {
@@ -64,84 +56,50 @@ document.addEventListener("DOMContentLoaded", () => {
       .replace(/"/g, "&quot;")
       .replace(/'/g, "&#39;");
 
-  const parseThreshold = (value) => {
-    if (!value) return null;
-    const match = /^(\d{1,3}):([0-5]\d)$/.exec(value.trim());
-    if (!match) return null;
-    const hours = Number(match[1]);
-    const minutes = Number(match[2]);
-    if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
-    return { hours, minutes };
-  };
-
-  const populateInitialFields = () => {
-    chrome.storage.sync.get(
-      [
-        "thresholdHours",
-        "thresholdMinutes",
-        "batchWindowMinutes",
-        "notifyEmail",
-        "tgToken",
-        "tgChatId",
-        "logFileName",
-        "logSaveAsEveryTime",
-        "logExportOnClose"
-      ],
-      (cfg) => {
-        const hours = Number.isFinite(Number(cfg.thresholdHours))
-          ? Number(cfg.thresholdHours)
-          : 24;
-        const minutes = Number.isFinite(Number(cfg.thresholdMinutes))
-          ? Math.max(0, Number(cfg.thresholdMinutes))
-          : 0;
-        if (thresholdEl) {
-          const hh = String(hours);
-          const mm = String(minutes).padStart(2, "0");
-          thresholdEl.value = `${hh}:${mm}`;
-        }
-        if (batchWindowEl) {
-          const batchMin = Number.isFinite(Number(cfg.batchWindowMinutes))
-            ? Math.max(1, Number(cfg.batchWindowMinutes))
-            : 1;
-          batchWindowEl.value = String(batchMin);
-        }
-
-        if (notifyEmailEl) {
-          notifyEmailEl.value = cfg.notifyEmail ? String(cfg.notifyEmail) : "";
-        }
+  const getActiveTab = () =>
+    new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        resolve((tabs && tabs[0]) || null);
+      });
+    });
 
-        if (tgTokenEl) tgTokenEl.value = cfg.tgToken ? String(cfg.tgToken) : "";
-        if (tgChatIdEl) tgChatIdEl.value = cfg.tgChatId ? String(cfg.tgChatId) : "";
+  const renderTabGuard = (state) => {
+    if (!tabGuardStatusEl) return;
+    const s = state || {};
+    if (s.protect) {
+      tabGuardStatusEl.textContent = "This tab is protected from auto-close.";
+    } else if (s.snoozeUntil && s.snoozeUntil > Date.now()) {
+      tabGuardStatusEl.textContent = `Kept until ${new Date(s.snoozeUntil).toLocaleString()}.`;
+    } else if (s.closeAt) {
+      tabGuardStatusEl.textContent = `Closes at ${new Date(s.closeAt).toLocaleString()}, read or not.`;
+    } else {
+      tabGuardStatusEl.textContent = "Auto-close applies to this tab.";
+    }
+  };
 
-        if (logFileNameEl) {
-          const fileName = cfg.logFileName ? String(cfg.logFileName) : "";
-          logFileNameEl.value = fileName;
-          if (logFilePathDisplay) {
-            logFilePathDisplay.textContent = fileName || "File not set.";
-          }
-        } else if (logFilePathDisplay) {
-          logFilePathDisplay.textContent = cfg.logFileName ? String(cfg.logFileName) : "File not set.";
-        }
-        if (chkSaveAsEveryTime) {
-          chkSaveAsEveryTime.checked = Boolean(cfg.logSaveAsEveryTime);
-        }
-        if (chkExportOnClose) {
-          const v = cfg.logExportOnClose;
-          chkExportOnClose.checked = v == null ? true : Boolean(v);
-        }
-      }
-    );
+  const refreshTabGuard = async () => {
+    const tab = await getActiveTab();
+    if (!tab) {
+      if (tabGuardStatusEl) tabGuardStatusEl.textContent = "No active tab.";
+      return;
+    }
+    const res = await sendMessage({ type: "getTabState", tabId: tab.id });
+    if (res && res.ok) {
+      renderTabGuard(res.state);
+    } else if (tabGuardStatusEl) {
+      tabGuardStatusEl.textContent = "Failed to load tab state.";
+    }
   };
 
   const renderHistory = (list) => {
     if (!historyEl) return;
     if (!Array.isArray(list) || list.length === 0) {
-      historyEl.innerHTML = "<p>No closed tabs yet.</p>";
+      historyEl.innerHTML = '<p class="hint">No closed tabs yet.</p>';
       return;
     }
     const now = Date.now();
-    const html = list
-      .map((entry, idx) => {
+    historyEl.innerHTML = list
+      .map((entry) => {
         const age = now - (entry.ts || 0);
         const when =
           age < 60000
@@ -150,30 +108,24 @@ document.addEventListener("DOMContentLoaded", () => {
             ? `${Math.floor(age / 60000)}m ago`
             : new Date(entry.ts || Date.now()).toLocaleString();
         const title = (entry.title && entry.title.trim()) || entry.url || "";
-        const safeTitle = escapeHtml(title);
-        const safeUrl = escapeHtml(entry.url || "");
         return `
-        <div class="history-row" style="display:flex; gap:6px; align-items:center; margin:6px 0;">
-          <div style="flex:1; min-width:0;">
-            <div style="font-weight:bold; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;" title="${safeTitle}">${safeTitle}</div>
-            <div style="font-size:12px; color:#666; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;" title="${safeUrl}">${safeUrl}</div>
-            <div style="font-size:11px; color:#888;">${escapeHtml(when)}</div>
-          </div>
-          <div>
-            <button data-idx="${idx}" class="restore">Restore</button>
+        <div class="history-row">
+          <div class="text">
+            <div class="title" title="${escapeHtml(entry.url || "")}">${escapeHtml(title)}</div>
+            <div class="detail">${escapeHtml(when)}</div>
           </div>
+          <button data-id="${escapeHtml(String(entry.id))}" class="restore" type="button">Restore</button>
         </div>`;
       })
       .join("");
-    historyEl.innerHTML = html;
     historyEl.querySelectorAll("button.restore").forEach((btn) => {
       btn.addEventListener("click", async () => {
-        const idx = Number(btn.getAttribute("data-idx"));
         btn.disabled = true;
-        const res = await sendMessage({ type: "restoreClosed", index: idx });
-        btn.disabled = false;
+        const res = await sendMessage({ type: "restoreClosed", id: Number(btn.getAttribute("data-id")) });
         if (!res || !res.ok) {
+          btn.disabled = false;
           flashStatus(`Restore failed: ${(res && res.error) || "unknown"}`, 2000);
+          return;
         }
         await refreshHistory();
       });
@@ -181,95 +133,121 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   const refreshHistory = async () => {
-    const res = await sendMessage({ type: "getClosedHistory" });
+    const res = await sendMessage({ type: "searchHistory", filters: { limit: RECENT_LIMIT, countTotal: false } });
     if (res && res.ok) {
-      renderHistory(res.history || []);
+      renderHistory(res.entries || []);
     } else if (historyEl) {
       historyEl.textContent = "Failed to load history.";
     }
   };
 
-  const refreshDownloadsPerm = () => {
-    if (!permIndicator) return;
+  // Per-channel outbox counts; channels that never sent anything are left out.
+  const renderDelivery = (channels) => {
+    if (!deliveryEl) return;
+    const used = (channels || []).filter((c) => c.pending || c.failed || c.delivered);
+    if (!used.length) {
+      deliveryEl.innerHTML = '<p class="hint">No notifications sent yet.</p>';
+      return;
+    }
+    const rows = used
+      .map((c) => {
+        const tip = [
+          c.lastDeliveredAt ? `Last delivered ${new Date(c.lastDeliveredAt).toLocaleString()}` : "",
+          c.nextAttemptAt ? `Next retry ${new Date(c.nextAttemptAt).toLocaleString()}` : "",
+          c.lastError ? `Last error: ${c.lastError}` : ""
+        ]
+          .filter(Boolean)
+          .join("\n");
+        return `<tr title="${escapeHtml(tip)}">
+          <td>${escapeHtml(c.label)}</td>
+          <td>${c.pending}</td>
+          <td class="${c.failed ? "failed" : ""}">${c.failed}</td>
+          <td>${c.delivered}</td>
+        </tr>`;
+      })
+      .join("");
+    const errors = used
+      .filter((c) => (c.pending || c.failed) && c.lastError)
+      .map((c) => `<div class="hint">${escapeHtml(c.label)}: ${escapeHtml(c.lastError)}</div>`)
+      .join("");
+    deliveryEl.innerHTML = `<table class="delivery">
+      <tr><th>Channel</th><th>Pending</th><th>Failed</th><th>Delivered</th></tr>${rows}</table>${errors}`;
+  };
 
-    const markGranted = () => {
-      permIndicator.textContent = "enabled";
-      if (btnRequestDownloads) {
-        btnRequestDownloads.disabled = true;
-        btnRequestDownloads.textContent = "Permission enabled";
-      }
-    };
+  const refreshDelivery = async () => {
+    const res = await sendMessage({ type: "getDeliveryStatus" });
+    if (res && res.ok) {
+      renderDelivery(res.channels);
+    } else if (deliveryEl) {
+      deliveryEl.textContent = "Failed to load delivery status.";
+    }
+  };
 
-    if (!chrome.permissions || !chrome.permissions.contains) {
-      markGranted();
-      return;
+  const runDeliveryAction = async (btn, type, doneText) => {
+    btn.disabled = true;
+    const res = await sendMessage({ type });
+    btn.disabled = false;
+    if (res && res.ok) {
+      renderDelivery(res.channels);
+      flashStatus(doneText, 1500);
+    } else {
+      flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 2000);
     }
+  };
 
-    chrome.permissions.contains(
-      { permissions: ["downloads"] },
-      (enabled) => {
-        if (chrome.runtime.lastError) {
-          markGranted();
-          return;
-        }
-        permIndicator.textContent = enabled ? "enabled" : "not enabled";
-        if (enabled && btnRequestDownloads) {
-          btnRequestDownloads.disabled = true;
-          btnRequestDownloads.textContent = "Permission enabled";
-        }
-      }
-    );
+  // Whether each secret is set (never its value) and whether they are locked;
+  // set them on the options page.
+  const renderSecretsStatus = (secrets) => {
+    if (!secretsStatusEl) return;
+    secretsStatusEl.textContent = Object.keys(SECRET_LABELS)
+      .map((name) => `${SECRET_LABELS[name]}: ${secrets && secrets[name] ? "set" : "not set"}`)
+      .join(" \u00b7 ");
+  };
+
+  const refreshSecretsLock = async () => {
+    const res = await sendMessage({ type: "getSecretStatus" });
+    if (secretsLockEl) secretsLockEl.hidden = !(res && res.ok && res.locked);
+    if (res && res.ok) renderSecretsStatus(res.secrets);
+    else if (secretsStatusEl) secretsStatusEl.textContent = "Failed to load secrets status.";
   };
 
-  const updateGmailStatus = async () => {
-    if (!gmailStatusEl) return;
-    gmailStatusEl.textContent = "Checking Gmail status...";
-    const res = await sendMessage({ type: "gmail-status" });
-    const ok = Boolean(res && res.ok && res.signedIn);
-    if (ok) {
-      const email = res.email ? `Connected as: ${res.email}` : "Gmail connected";
-      gmailStatusEl.textContent = email;
+  const unlockSecrets = async () => {
+    const passphrase = secretsPassphraseEl ? secretsPassphraseEl.value : "";
+    if (!passphrase) {
+      flashStatus("Enter the passphrase", 2000);
+      return;
+    }
+    btnUnlockSecrets.disabled = true;
+    const res = await sendMessage({ type: "unlockSecrets", passphrase });
+    btnUnlockSecrets.disabled = false;
+    if (res && res.ok) {
+      secretsPassphraseEl.value = "";
+      if (secretsLockEl) secretsLockEl.hidden = res.locked;
+      renderSecretsStatus(res.secrets);
+      flashStatus("Unlocked", 1500);
+      refreshDelivery();
     } else {
-      gmailStatusEl.textContent = res && res.error
-        ? `Not connected (${res.error})`
-        : "Not connected to Gmail";
+      flashStatus(`Unlock failed: ${(res && res.error) || "unknown"}`, 2500);
     }
-    if (btnGmailTest) btnGmailTest.disabled = !ok;
-    if (btnGmailSignOut) btnGmailSignOut.disabled = !ok;
   };
 
-  // Threshold save handler
-  if (saveBtn && thresholdEl) {
-    saveBtn.addEventListener("click", () => {
-      const parsed = parseThreshold(thresholdEl.value);
-      if (!parsed) {
-        flashStatus("Invalid time format. Use HH:MM", 2000);
-        return;
-      }
-      let batchMinutes = 1;
-      if (batchWindowEl) {
-        const raw = (batchWindowEl.value || "").trim();
-        const parsedBatch = Number(raw);
-        if (!Number.isFinite(parsedBatch) || parsedBatch < 1) {
-          flashStatus("Invalid batch window. Use minutes >= 1", 2500);
-          return;
-        }
-        batchMinutes = Math.floor(parsedBatch);
-      }
-      chrome.storage.sync.set(
-        {
-          thresholdHours: parsed.hours,
-          thresholdMinutes: parsed.minutes,
-          batchWindowMinutes: batchMinutes
-        },
-        () => {
-          flashStatus("Settings saved", 1500);
-          chrome.runtime.sendMessage({ type: "resetBadge" }, () => {});
-        }
-      );
+  if (btnUnlockSecrets) btnUnlockSecrets.addEventListener("click", unlockSecrets);
+  if (secretsPassphraseEl) {
+    secretsPassphraseEl.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") unlockSecrets();
     });
   }
 
+  if (btnRetryDelivery) {
+    btnRetryDelivery.addEventListener("click", () => runDeliveryAction(btnRetryDelivery, "retryOutbox", "Retried"));
+  }
+
+  if (btnClearFailedDelivery) {
+    btnClearFailedDelivery.addEventListener("click", () =>
+      runDeliveryAction(btnClearFailedDelivery, "clearFailedDeliveries", "Failed deliveries cleared")
+    );
+  }
+
   if (runNowBtn) {
     runNowBtn.addEventListener("click", async () => {
       runNowBtn.disabled = true;
@@ -283,215 +261,48 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  if (clearHistoryBtn) {
-    clearHistoryBtn.addEventListener("click", async () => {
-      clearHistoryBtn.disabled = true;
-      const res = await sendMessage({ type: "clearHistory" });
-      clearHistoryBtn.disabled = false;
-      if (res && res.ok) {
-        await refreshHistory();
-        flashStatus("History cleared", 1500);
-      } else {
-        flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 2000);
-      }
-    });
-  }
-
-  // Gmail UI wiring
-  if (notifyEmailEl) {
-    notifyEmailEl.addEventListener("change", () => {
-      const value = (notifyEmailEl.value || "").trim();
-      chrome.storage.sync.set({ notifyEmail: value || "" });
-    });
+  if (btnOpenOptions) {
+    btnOpenOptions.addEventListener("click", () => chrome.runtime.openOptionsPage());
   }
 
-  if (btnGmailConnect) {
-    btnGmailConnect.addEventListener("click", async () => {
-      btnGmailConnect.disabled = true;
-      if (gmailStatusEl) gmailStatusEl.textContent = "Authorizing Gmail...";
-      const res = await sendMessage({ type: "gmail-connect" });
-      btnGmailConnect.disabled = false;
-      if (res && res.ok) {
-        await updateGmailStatus();
-      } else {
-        gmailStatusEl.textContent = `Authorization failed: ${(res && res.error) || "unknown"}`;
-      }
+  if (btnOpenStats) {
+    btnOpenStats.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
     });
   }
 
-  if (btnGmailSignOut) {
-    btnGmailSignOut.addEventListener("click", async () => {
-      btnGmailSignOut.disabled = true;
-      const res = await sendMessage({ type: "gmail-signOut" });
-      if (!(res && res.ok) && gmailStatusEl) {
-        gmailStatusEl.textContent = `Failed to sign out: ${(res && res.error) || "unknown"}`;
-      }
-      await updateGmailStatus();
+  if (linkAllHistory) {
+    linkAllHistory.addEventListener("click", (event) => {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL("options.html#history-section") });
     });
   }
 
-  if (btnGmailTest) {
-    btnGmailTest.addEventListener("click", async () => {
-      const to = (notifyEmailEl && notifyEmailEl.value || "").trim();
-      if (!to) {
-        flashStatus("Enter recipient email first", 2000);
+  tabGuardButtons.forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const tab = await getActiveTab();
+      if (!tab) {
+        flashStatus("No active tab", 2000);
         return;
       }
-      btnGmailTest.disabled = true;
-      const res = await sendMessage({
-        type: "gmail-send",
-        payload: {
-          to,
-          subject: "Tab Monitor Closer: test",
-          body: "Test message from the Tab Monitor Closer extension."
-        }
-      });
-      btnGmailTest.disabled = false;
-      if (res && res.ok) {
-        flashStatus("Test email sent", 2000);
-      } else {
-        flashStatus(`Send failed: ${(res && res.error) || "unknown"}`, 2500);
-      }
-    });
-  }
-
-  // Telegram UI
-  if (tgTokenEl) {
-    tgTokenEl.addEventListener("change", () => {
-      chrome.storage.sync.set({ tgToken: (tgTokenEl.value || "").trim() });
-    });
-  }
-  if (tgChatIdEl) {
-    tgChatIdEl.addEventListener("change", () => {
-      chrome.storage.sync.set({ tgChatId: (tgChatIdEl.value || "").trim() });
-    });
-  }
-  if (btnTgTest) {
-    btnTgTest.addEventListener("click", async () => {
-      const token = (tgTokenEl && tgTokenEl.value || "").trim();
-      const chatId = (tgChatIdEl && tgChatIdEl.value || "").trim();
-      if (!token || !chatId) {
-        flashStatus("Enter Telegram token and chat ID", 2000);
-        return;
-      }
-      btnTgTest.disabled = true;
-      flashStatus("Sending to Telegram...", 1500);
-      const res = await sendMessage({
-        type: "telegram-send",
-        payload: { text: "<b>Test</b> message from Tab Monitor Closer" }
-      });
-      btnTgTest.disabled = false;
-      if (res && res.ok) {
-        flashStatus("Sent to Telegram", 2000);
-      } else {
-        flashStatus(`Telegram error: ${(res && res.error) || "failed"}`, 2500);
-      }
-    });
-  }
-
-  // HTML Log UI
-  const setLogStatus = (text, timeout = 2500) => {
-    if (!logFileStatus) return;
-    logFileStatus.textContent = text || "";
-    if (timeout > 0) {
-      setTimeout(() => {
-        if (logFileStatus.textContent === text) logFileStatus.textContent = "";
-      }, timeout);
-    }
-  };
-
-  if (btnChooseLogFile) {
-    btnChooseLogFile.addEventListener("click", async () => {
-      const suggested =
-        (logFileNameEl && logFileNameEl.value && logFileNameEl.value.trim()) ||
-        "closed-tabs.html";
-      btnChooseLogFile.disabled = true;
-      setLogStatus("Opening Save As...", 3000);
+      btn.disabled = true;
       const res = await sendMessage({
-        type: "saveAsLogFile",
-        suggestedName: suggested
+        type: "setTabProtection",
+        tabId: tab.id,
+        preset: btn.getAttribute("data-preset")
       });
-      btnChooseLogFile.disabled = false;
+      btn.disabled = false;
       if (res && res.ok) {
-        if (res.filename && logFilePathDisplay) {
-          logFilePathDisplay.textContent = res.filename;
-        }
-        if (logFileNameEl && res.filename) {
-          logFileNameEl.value = res.filename;
-        }
-        setLogStatus("Save dialog completed.");
+        renderTabGuard(res.state);
       } else {
-        setLogStatus(`Save failed: ${(res && res.error) || "unknown"}`, 2500);
-      }
-    });
-  }
-
-  if (btnResetLogFile) {
-    btnResetLogFile.addEventListener("click", () => {
-      chrome.storage.sync.remove(["logFileName"], () => {
-        if (logFileNameEl) logFileNameEl.value = "";
-        if (logFilePathDisplay) logFilePathDisplay.textContent = "File not set.";
-        setLogStatus("Setting cleared", 1800);
-      });
-    });
-  }
-
-  if (btnExportHtml) {
-    btnExportHtml.addEventListener("click", async () => {
-      btnExportHtml.disabled = true;
-      setLogStatus("Exporting...", 3000);
-      const saveAs = Boolean(chkSaveAsEveryTime && chkSaveAsEveryTime.checked);
-      const msg = saveAs
-        ? {
-            type: "saveAsLogFile",
-            suggestedName:
-              (logFileNameEl && logFileNameEl.value && logFileNameEl.value.trim()) ||
-              "closed-tabs.html"
-          }
-        : { type: "exportHtmlNow" };
-      const res = await sendMessage(msg);
-      btnExportHtml.disabled = false;
-      if (res && res.ok) {
-        if (res.filename && logFilePathDisplay) {
-          logFilePathDisplay.textContent = res.filename;
-        }
-        if (logFileNameEl && res.filename) {
-          logFileNameEl.value = res.filename;
-        }
-        setLogStatus("Export complete - check Downloads.");
-      } else {
-        setLogStatus(`Export failed: ${(res && res.error) || "unknown"}`, 2500);
+        flashStatus(`Failed: ${(res && res.error) || "unknown"}`, 2000);
       }
     });
-  }
-
-  if (btnRequestDownloads) {
-    btnRequestDownloads.addEventListener("click", () => {
-      btnRequestDownloads.disabled = true;
-      setLogStatus("Downloads permission is required and always enabled in this build.", 3000);
-      refreshDownloadsPerm();
-    });
-  }
-
-  if (chkSaveAsEveryTime) {
-    chkSaveAsEveryTime.addEventListener("change", () => {
-      chrome.storage.sync.set({
-        logSaveAsEveryTime: Boolean(chkSaveAsEveryTime.checked)
-      });
-    });
-  }
-
-  if (chkExportOnClose) {
-    chkExportOnClose.addEventListener("change", () => {
-      chrome.storage.sync.set({
-        logExportOnClose: Boolean(chkExportOnClose.checked)
-      });
-    });
-  }
+  });
 
-  populateInitialFields();
+  refreshTabGuard();
   refreshHistory();
+  refreshDelivery();
+  refreshSecretsLock();
   sendMessage({ type: "resetBadge" });
-  refreshDownloadsPerm();
-  updateGmailStatus();
 });
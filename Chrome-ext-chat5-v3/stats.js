@@ -0,0 +1,223 @@
+// Statistics page for Tab Monitor Closer.
+//
+// Charts closures, restores, skip reasons and check durations from the event
+// log kept by the background worker (see getStats in background.js).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const byId = (id) => document.getElementById(id);
+  const rangeEl = byId("range");
+  const statusEl = byId("status");
+
+  const REASON_COLORS = {
+    timeout: "#1f6feb",
+    budget: "#8250df",
+    duplicate: "#1a7f37",
+    scheduled: "#bf3989"
+  };
+  const REASON_LABELS = {
+    timeout: "Timed out",
+    budget: "Over tab budget",
+    duplicate: "Duplicate",
+    scheduled: "Scheduled close"
+  };
+  const SKIP_LABELS = {
+    protected: "Protected",
+    snoozed: "Snoozed",
+    pinned: "Pinned",
+    audible: "Playing audio",
+    notHttp: "Not an http(s) page",
+    rule: "Site rule: never close",
+    discarded: "Discarded"
+  };
+
+  const sendMessage = (message) =>
+    new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (resp) => {
+        if (chrome.runtime.lastError) {
+          resolve({ ok: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(resp || { ok: false, error: "No response" });
+        }
+      });
+    });
+
+  const escapeHtml = (str) =>
+    String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+
+  const setText = (id, text) => {
+    const el = byId(id);
+    if (el) el.textContent = text;
+  };
+
+  const formatMs = (ms) => {
+    const value = Number(ms) || 0;
+    return value < 1000 ? `${value} ms` : `${(value / 1000).toFixed(1)} s`;
+  };
+
+  // Vertical bar chart as inline SVG.  Each bar is a stack of
+  // `{ value, color }` segments; `title` becomes the hover text.
+  const barChart = (bars, { height = 160, unit = "" } = {}) => {
+    if (!bars.length) return "";
+    const max = Math.max(1, ...bars.map((bar) => bar.segments.reduce((sum, s) => sum + s.value, 0)));
+    const slot = Math.max(8, Math.min(40, Math.floor(860 / bars.length)));
+    const width = slot * bars.length + 40;
+    const plot = height - 24;
+    // At most about a dozen axis labels so they do not overlap.
+    const labelEvery = Math.max(1, Math.ceil(bars.length / 12));
+    const parts = [
+      `<text x="0" y="10">${escapeHtml(`${max}${unit}`)}</text>`,
+      `<line x1="36" y1="${plot}" x2="${width}" y2="${plot}" stroke="#cfd7df" />`
+    ];
+    bars.forEach((bar, i) => {
+      const x = 40 + i * slot;
+      let y = plot;
+      bar.segments.forEach((segment) => {
+        if (!segment.value) return;
+        const h = Math.max(1, Math.round((segment.value / max) * (plot - 14)));
+        y -= h;
+        parts.push(
+          `<rect x="${x}" y="${y}" width="${slot - 2}" height="${h}" fill="${segment.color}"><title>${escapeHtml(bar.title)}</title></rect>`
+        );
+      });
+      if (i % labelEvery === 0) {
+        parts.push(`<text x="${x}" y="${height - 6}">${escapeHtml(bar.label)}</text>`);
+      }
+    });
+    return `<svg width="${width}" height="${height}" role="img">${parts.join("")}</svg>`;
+  };
+
+  // Horizontal bars as a table: name, bar(s), count.
+  const barRows = (rows) => {
+    if (!rows.length) return '<p class="empty">Nothing recorded in this period.</p>';
+    const max = Math.max(1, ...rows.map((row) => row.value));
+    return `<table class="bars">${rows
+      .map((row) => {
+        const restored = row.restored
+          ? `<div class="bar restored" style="width:${(row.restored / max) * 100}%" title="${row.restored} restored"></div>`
+          : "";
+        return `<tr>
+          <td class="name" title="${escapeHtml(row.name)}">${escapeHtml(row.name)}</td>
+          <td><div class="bar" style="width:${(row.value / max) * 100}%"></div>${restored}</td>
+          <td class="count">${escapeHtml(row.note || String(row.value))}</td>
+        </tr>`;
+      })
+      .join("")}</table>`;
+  };
+
+  const render = (stats) => {
+    const totals = stats.totals || {};
+    setText("totalClosed", String(totals.closed || 0));
+    setText("totalRestored", String(totals.restored || 0));
+    setText("restoreRate", totals.closed ? `${Math.round((totals.restoreRate || 0) * 100)}%` : "-");
+    setText("totalChecks", String(totals.checks || 0));
+    setText("avgScanned", totals.checks ? (totals.avgScanned || 0).toFixed(1) : "-");
+
+    const perDay = stats.perDay || [];
+    const reasons = Object.keys(REASON_COLORS);
+    const closuresEl = byId("closuresChart");
+    if (closuresEl) {
+      closuresEl.innerHTML = barChart(
+        perDay.map((day) => {
+          const counts = reasons.map((reason) => Number(day.closed[reason]) || 0);
+          const breakdown = reasons
+            .filter((reason, i) => counts[i])
+            .map((reason) => `${REASON_LABELS[reason]}: ${day.closed[reason]}`);
+          return {
+            label: day.day.slice(5),
+            title: `${day.day}: ${counts.reduce((a, b) => a + b, 0)} closed${breakdown.length ? ` (${breakdown.join(", ")})` : ""}`,
+            segments: reasons.map((reason, i) => ({ value: counts[i], color: REASON_COLORS[reason] }))
+          };
+        })
+      );
+    }
+    const legendEl = byId("closuresLegend");
+    if (legendEl) {
+      legendEl.innerHTML = reasons
+        .map((reason) => `<span style="--swatch:${REASON_COLORS[reason]}">${escapeHtml(REASON_LABELS[reason])}</span>`)
+        .join("");
+    }
+
+    const domainsEl = byId("topDomains");
+    if (domainsEl) {
+      domainsEl.innerHTML = barRows(
+        (stats.topDomains || []).map((d) => ({
+          name: d.domain,
+          value: d.closed,
+          restored: d.restored,
+          note: d.restored ? `${d.closed} closed, ${d.restored} restored` : `${d.closed} closed`
+        }))
+      );
+    }
+
+    const skipEl = byId("skipReasons");
+    if (skipEl) {
+      const skipped = stats.skipped || {};
+      skipEl.innerHTML = barRows(
+        Object.keys(skipped)
+          .filter((reason) => skipped[reason] > 0)
+          .sort((a, b) => skipped[b] - skipped[a])
+          .map((reason) => ({ name: SKIP_LABELS[reason] || reason, value: skipped[reason] }))
+      );
+    }
+
+    const durationEl = byId("durationChart");
+    if (durationEl) {
+      durationEl.innerHTML = barChart(
+        perDay.map((day) => ({
+          label: day.day.slice(5),
+          title: day.checks
+            ? `${day.day}: ${day.checks} checks, average ${formatMs(day.avgDurationMs)}, slowest ${formatMs(day.maxDurationMs)}`
+            : `${day.day}: no checks`,
+          segments: [{ value: day.avgDurationMs, color: "#6e7781" }]
+        })),
+        { unit: " ms" }
+      );
+    }
+
+    const lastEl = byId("lastCheck");
+    if (lastEl) {
+      const last = stats.lastCheck || {};
+      if (!last.lastCheckAt) {
+        lastEl.innerHTML = '<tr><td class="empty">No check has run yet.</td></tr>';
+      } else {
+        const skipped = last.lastCheckSkippedTabs || {};
+        const skippedText = Object.keys(skipped)
+          .filter((reason) => skipped[reason] > 0)
+          .map((reason) => `${SKIP_LABELS[reason] || reason}: ${skipped[reason]}`)
+          .join(", ");
+        const rows = [
+          ["When", new Date(last.lastCheckAt).toLocaleString()],
+          ["Status", last.lastCheckStatus || "-"],
+          ["Duration", formatMs(last.lastCheckDurationMs)],
+          ["Scanned", last.lastCheckScannedTabs],
+          ["Eligible", last.lastCheckEligibleTabs],
+          ["Closed", last.lastCheckClosedTabs],
+          ["Script errors", last.lastCheckScriptErrors],
+          ["Skipped", skippedText || "none"]
+        ];
+        lastEl.innerHTML = rows
+          .map(([name, value]) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(value == null ? "-" : value)}</td></tr>`)
+          .join("");
+      }
+    }
+  };
+
+  const refresh = async () => {
+    if (statusEl) statusEl.textContent = "Loading...";
+    const res = await sendMessage({ type: "getStats", days: Number(rangeEl ? rangeEl.value : 30) });
+    if (res && res.ok) {
+      if (statusEl) statusEl.textContent = "";
+      render(res.stats || {});
+    } else if (statusEl) {
+      statusEl.textContent = `Failed to load statistics: ${(res && res.error) || "unknown"}`;
+    }
+  };
+
+  if (rangeEl) rangeEl.addEventListener("change", refresh);
+  refresh();
+});